@@ -0,0 +1,18 @@
+// Base package rates are per traveler per day; add-on rates are per traveler (INR)
+module.exports = {
+  packages: {
+    budget: 2500,
+    standard: 4000,
+    premium: 7500,
+    luxury: 12000
+  },
+  defaultPackage: 'standard',
+  addons: {
+    flight: 6000,
+    hotel: 3000,
+    car: 1500,
+    train: 1200,
+    guide: 800
+  },
+  gstRate: 0.05
+};
@@ -0,0 +1,56 @@
+// Rate-limit policies per route. Each rule allows `max` hits per `windowMs` for one key:
+//   ip    - the client address (set TRUST_PROXY behind a load balancer)
+//   email - the email in the request body, when present
+//   user  - the signed-in user, when there is one
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+module.exports = {
+  policies: {
+    // Each submission sends two emails
+    contact: [
+      { key: 'ip', max: 5, windowMs: HOUR },
+      { key: 'email', max: 3, windowMs: HOUR }
+    ],
+    // Each message is at least one paid model request
+    chatbot: [
+      { key: 'user', max: 10, windowMs: MINUTE },
+      { key: 'user', max: 200, windowMs: DAY },
+      { key: 'ip', max: 20, windowMs: MINUTE },
+      { key: 'ip', max: 300, windowMs: DAY }
+    ],
+    signup: [
+      { key: 'ip', max: 10, windowMs: HOUR },
+      { key: 'email', max: 3, windowMs: HOUR }
+    ],
+    forgotPassword: [
+      { key: 'ip', max: 10, windowMs: HOUR },
+      { key: 'email', max: 5, windowMs: HOUR }
+    ],
+    login: [
+      { key: 'ip', max: 30, windowMs: 15 * MINUTE },
+      { key: 'email', max: 10, windowMs: 15 * MINUTE }
+    ],
+    // Code entry and resend; the OTP service adds per-code attempt limits on top
+    otp: [
+      { key: 'ip', max: 30, windowMs: 15 * MINUTE }
+    ],
+    feedback: [
+      { key: 'user', max: 10, windowMs: DAY },
+      { key: 'ip', max: 30, windowMs: HOUR }
+    ],
+    // Package orders hold seats until they expire; they need an account, and utils/inventory also caps
+    // the seats one account holds at once (INVENTORY_MAX_HELD_SEATS)
+    paymentOrder: [
+      { key: 'user', max: 10, windowMs: HOUR },
+      { key: 'ip', max: 20, windowMs: HOUR }
+    ]
+  },
+
+  // Hidden form field that people leave empty and bots fill in; set HONEYPOT_FIELD= to turn off
+  honeypotField: process.env.HONEYPOT_FIELD !== undefined ? process.env.HONEYPOT_FIELD : 'website',
+
+  // Leading zero bits required from proof-of-work solutions; 0 turns the check off
+  proofOfWorkDifficulty: parseInt(process.env.POW_DIFFICULTY, 10) || 0
+};
@@ -0,0 +1,46 @@
+// Refund rules per package type and per add-on.
+// Each tier applies when the booking is cancelled at least `minDays` full days before
+// the trip start date (30 days 20 hours counts as 30); tiers are checked from the largest `minDays` down.
+const standardTiers = [
+  { minDays: 30, percent: 100, label: '100% refund when cancelled 30 or more days before the trip' },
+  { minDays: 7, percent: 50, label: '50% refund when cancelled 7-29 days before the trip' },
+  { minDays: -Infinity, percent: 0, label: 'No refund when cancelled less than 7 days before the trip' }
+];
+
+module.exports = {
+  default: standardTiers,
+  packages: {
+    budget: [
+      { minDays: 30, percent: 90, label: '90% refund when cancelled 30 or more days before the trip' },
+      { minDays: 7, percent: 40, label: '40% refund when cancelled 7-29 days before the trip' },
+      { minDays: -Infinity, percent: 0, label: 'No refund when cancelled less than 7 days before the trip' }
+    ],
+    standard: standardTiers,
+    premium: standardTiers,
+    luxury: [
+      { minDays: 14, percent: 100, label: '100% refund when cancelled 14 or more days before the trip' },
+      { minDays: 3, percent: 75, label: '75% refund when cancelled 3-13 days before the trip' },
+      { minDays: -Infinity, percent: 0, label: 'No refund when cancelled less than 3 days before the trip' }
+    ]
+  },
+  addons: {
+    // Airline tickets are largely non-refundable once issued
+    flight: [
+      { minDays: 30, percent: 75, label: '75% flight refund when cancelled 30 or more days before the trip' },
+      { minDays: -Infinity, percent: 0, label: 'Flights are non-refundable within 30 days of the trip' }
+    ],
+    hotel: standardTiers,
+    car: [
+      { minDays: 2, percent: 100, label: 'Full car rental refund when cancelled 2+ days before the trip' },
+      { minDays: -Infinity, percent: 0, label: 'No car rental refund within 2 days of the trip' }
+    ],
+    train: [
+      { minDays: 2, percent: 75, label: '75% train refund when cancelled 2+ days before the trip' },
+      { minDays: -Infinity, percent: 0, label: 'No train refund within 2 days of the trip' }
+    ],
+    guide: [
+      { minDays: 1, percent: 100, label: 'Full guide refund when cancelled a day or more before the trip' },
+      { minDays: -Infinity, percent: 0, label: 'No guide refund on the day of the trip' }
+    ]
+  }
+};
@@ -0,0 +1,79 @@
+const jwt = require('jsonwebtoken');
+const { sendError } = require('../utils/httpErrors');
+const { isSessionActive } = require('../utils/sessions');
+
+const readToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+const verifyToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  // Single-purpose tokens (e.g. password reset links) are not session tokens
+  if (decoded.purpose) throw new Error('Token is not an access token');
+  return {
+    id: String(decoded.userId),
+    role: decoded.role || 'user',
+    sessionId: decoded.sid ? String(decoded.sid) : undefined
+  };
+};
+
+// The token's user, or null if the token is invalid, expired or belongs to a signed-out session
+async function userFromToken(token) {
+  let user;
+  try {
+    user = verifyToken(token);
+  } catch (err) {
+    return null;
+  }
+  if (!user.sessionId || !await isSessionActive(user.sessionId)) return null;
+  return user;
+}
+
+// Require a valid bearer token; sets req.user = { id, role, sessionId }
+async function authenticate(req, res, next) {
+  const token = readToken(req);
+  if (!token) {
+    return sendError(res, 401, 'Authentication required');
+  }
+
+  const user = await userFromToken(token);
+  if (!user) return sendError(res, 401, 'Invalid or expired token');
+  req.user = user;
+  next();
+}
+
+// Attach req.user when a valid token is sent, but let anonymous requests through
+async function optionalAuth(req, res, next) {
+  const token = readToken(req);
+  if (token) {
+    const user = await userFromToken(token);
+    if (!user) return sendError(res, 401, 'Invalid or expired token');
+    req.user = user;
+  }
+  next();
+}
+
+// Use after authenticate()
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return sendError(res, 403, 'You do not have permission to perform this action');
+  }
+  next();
+};
+
+const isOwnerOrAdmin = (req, ownerId) =>
+  !!req.user && (req.user.role === 'admin' || (ownerId !== undefined && ownerId !== null && String(ownerId) === req.user.id));
+
+const forbidden = (res) =>
+  sendError(res, 403, 'You do not have permission to perform this action');
+
+module.exports = {
+  authenticate,
+  optionalAuth,
+  requireRole,
+  requireAdmin: requireRole('admin'),
+  isOwnerOrAdmin,
+  forbidden
+};
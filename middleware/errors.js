@@ -0,0 +1,26 @@
+const { sendError } = require('../utils/httpErrors');
+
+// Unknown API routes get the standard envelope instead of Express's HTML page
+function notFound(req, res) {
+  sendError(res, 404, `No route for ${req.method} ${req.baseUrl}${req.path}`, { code: 'route_not_found' });
+}
+
+// Last middleware: body-parser failures become 4xx, anything else a generic 500 (details only in the log)
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Request body is not valid JSON', { code: 'invalid_json' });
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'Request body is too large');
+  }
+  if (err.status >= 400 && err.status < 500 && err.expose) {
+    return sendError(res, err.status, err.message);
+  }
+
+  console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, err);
+  sendError(res, 500, 'Something went wrong. Please try again later.');
+}
+
+module.exports = { notFound, errorHandler };
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { getStore } = require('../utils/rateLimit');
+const { createChallenge, verifySolution } = require('../utils/rateLimit/proofOfWork');
+const config = require('../config/rateLimits');
+const { sendError } = require('../utils/httpErrors');
+
+// Emails are hashed so counters (which may live in MongoDB) don't hold addresses
+const hashEmail = (email) => crypto.createHash('sha256').update(email).digest('hex').slice(0, 32);
+
+const keyValue = (key, req) => {
+  if (key === 'ip') return req.ip;
+  if (key === 'user') return req.user && req.user.id;
+  if (key === 'email') {
+    const email = req.body && typeof req.body.email === 'string' && req.body.email.trim().toLowerCase();
+    return email ? hashEmail(email) : null;
+  }
+  return null;
+};
+
+const tooManyRequests = (res, retryAfter, message = 'Too many requests. Please try again later.') => {
+  res.set('Retry-After', String(retryAfter));
+  return sendError(res, 429, message, { extra: { retryAfter } });
+};
+
+// rateLimit('contact') applies the rules from config/rateLimits. Put it after optionalAuth/authenticate
+// so 'user' rules can see req.user. If the store is unreachable, requests are let through.
+function rateLimit(policyName, rules = config.policies[policyName]) {
+  if (!rules) throw new Error(`Unknown rate-limit policy "${policyName}"`);
+
+  return async (req, res, next) => {
+    let tightest;
+    try {
+      for (const rule of rules) {
+        const value = keyValue(rule.key, req);
+        if (!value) continue;
+
+        const { count, resetAt } = await getStore().hit(`${policyName}:${rule.key}:${rule.windowMs}:${value}`, rule.windowMs);
+        const remaining = Math.max(0, rule.max - count);
+        const resetSeconds = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+
+        if (!tightest || remaining < tightest.remaining) tightest = { limit: rule.max, remaining, resetSeconds };
+        if (count > rule.max) {
+          res.set({ 'RateLimit-Limit': String(rule.max), 'RateLimit-Remaining': '0', 'RateLimit-Reset': String(resetSeconds) });
+          return tooManyRequests(res, resetSeconds);
+        }
+      }
+    } catch (err) {
+      console.error(`Rate limit store error (${policyName}):`, err.message);
+      return next();
+    }
+
+    if (tightest) {
+      res.set({
+        'RateLimit-Limit': String(tightest.limit),
+        'RateLimit-Remaining': String(tightest.remaining),
+        'RateLimit-Reset': String(tightest.resetSeconds)
+      });
+    }
+    next();
+  };
+}
+
+// Reject form posts that filled in the hidden honeypot field
+function honeypot(req, res, next) {
+  const field = config.honeypotField;
+  if (!field || !req.body) return next();
+
+  if (req.body[field]) {
+    return sendError(res, 400, 'Request rejected', { code: 'request_rejected' });
+  }
+  delete req.body[field];
+  next();
+}
+
+// When POW_DIFFICULTY is set, require X-Pow-Challenge (from GET /api/pow/challenge) and a solving X-Pow-Nonce.
+// Each challenge is accepted once.
+async function proofOfWork(req, res, next) {
+  const difficulty = config.proofOfWorkDifficulty;
+  if (!difficulty) return next();
+
+  const challenge = req.get('x-pow-challenge');
+  const expiresAt = verifySolution(challenge, req.get('x-pow-nonce'), difficulty);
+  if (!expiresAt) {
+    return sendError(res, 400, 'A valid proof-of-work solution is required', { code: 'proof_of_work_required' });
+  }
+
+  try {
+    const { count } = await getStore().hit(`pow:${challenge}`, 24 * 60 * 60 * 1000);
+    if (count > 1) return sendError(res, 400, 'Proof-of-work challenge already used', { code: 'proof_of_work_reused' });
+  } catch (err) {
+    console.error('Rate limit store error (pow):', err.message);
+  }
+  next();
+}
+
+const powChallenge = () => createChallenge(config.proofOfWorkDifficulty);
+
+module.exports = { rateLimit, honeypot, proofOfWork, powChallenge, tooManyRequests };
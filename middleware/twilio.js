@@ -0,0 +1,25 @@
+const twilio = require('twilio');
+
+// The public URL Twilio called; set PUBLIC_BASE_URL when running behind a proxy or tunnel
+const publicUrl = (req) => `${process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`}${req.originalUrl}`;
+
+// Reject requests that aren't signed by Twilio with our auth token.
+// TWILIO_VALIDATE_SIGNATURE=false turns the check off for local testing only (never in production).
+if (process.env.TWILIO_VALIDATE_SIGNATURE === 'false' && process.env.NODE_ENV === 'production') {
+  throw new Error('TWILIO_VALIDATE_SIGNATURE=false is not allowed when NODE_ENV=production');
+}
+
+function validateTwilioRequest(req, res, next) {
+  if (process.env.TWILIO_VALIDATE_SIGNATURE === 'false') return next();
+
+  const signature = req.headers['x-twilio-signature'];
+  const params = req.method === 'POST' ? req.body || {} : {};
+  const valid = signature && twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, publicUrl(req), params);
+
+  if (!valid) {
+    return res.status(403).type('text/plain').send('Invalid Twilio signature');
+  }
+  next();
+}
+
+module.exports = { validateTwilioRequest, publicUrl };
@@ -0,0 +1,35 @@
+const { sendError } = require('../utils/httpErrors');
+
+const PARTS = ['params', 'query', 'body'];
+
+// validate({ params, query, body }) checks each part against its zod schema (see schemas/).
+// Parsed values replace the originals, so handlers see coerced types and no unknown keys.
+const validate = (schema) => (req, res, next) => {
+  const fields = {};
+  const parsed = {};
+
+  for (const part of PARTS) {
+    if (!schema[part]) continue;
+    const result = schema[part].safeParse(req[part] || {});
+    if (result.success) {
+      parsed[part] = result.data;
+      continue;
+    }
+    for (const issue of result.error.issues) {
+      const path = [part, ...issue.path].join('.');
+      if (!fields[path]) fields[path] = issue.message;
+    }
+  }
+
+  if (Object.keys(fields).length) {
+    return sendError(res, 400, 'Request validation failed', { code: 'validation_failed', fields });
+  }
+
+  if (parsed.params) req.params = parsed.params;
+  if (parsed.body) req.body = parsed.body;
+  // req.query is a getter in Express 5
+  if (parsed.query) Object.defineProperty(req, 'query', { value: parsed.query, writable: true, configurable: true, enumerable: true });
+  next();
+};
+
+module.exports = { validate };
@@ -1,49 +1,92 @@
 const mongoose = require('mongoose');
 
+// Bumped together with a migration in scripts/migrations; new documents are written at this version
+const SCHEMA_VERSION = 1;
+
+// "refunding" is held while a refund is in flight so two refunds can't run for one payment
+const PAYMENT_STATUSES = ['pending', 'paid', 'failed', 'refunding', 'cancelled', 'refunded'];
+
 const bookingSchema = new mongoose.Schema({
+  bookingId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Account that paid for the booking; guest checkouts have none
+  userId: {
+    type: String,
+    index: true,
+  },
   destination: String,
+  // Catalog entries the booking was made from; older and free-form bookings only have the strings
+  destinationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Destination',
+  },
+  packageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Package',
+  },
   startDate: Date,
   endDate: Date,
   packageType: String,
   duration: Number,
   travelers: Number,
   travelerInfo: {
-    name: String,
-    email: String,
-    phone: String,
-    address: String
+    name: { type: String, required: true },
+    email: { type: String, required: true },
+    phone: { type: String, required: true },
+    address: String,
+    travelerNames: { type: [String], default: [] },
   },
   addons: {
     flight: Boolean,
     hotel: Boolean,
     car: Boolean,
     train: Boolean,
-    guide: Boolean
+    bus: Boolean,
+    guide: Boolean,
   },
   flightData: Object,
   hotelData: Object,
   carData: Object,
   trainData: Object,
+  busData: Object,
   payment: {
     amount: Number,
-    status: String,
+    currency: String,
+    status: { type: String, enum: PAYMENT_STATUSES },
+    breakdown: Object,
+    tax: Number,
     razorpayOrderId: String,
     razorpayPaymentId: String,
     razorpaySignature: String,
-    receipt: Object
-  },
-  bookingId: {
-    type: String,
-    required: true,
-    unique: true
+    receipt: Object,
   },
   cancellationDetails: {
     date: Date,
     reason: String,
     refundAmount: Number,
     refundId: String,
-    refundStatus: String
-  }
+    refundStatus: String,
+    // Admin who set the refund amount by hand because the booking predates recorded start dates
+    amountSetBy: String,
+  },
+  reminderSmsSentAt: Date,
+  schemaVersion: {
+    type: Number,
+    default: SCHEMA_VERSION,
+  },
 }, { timestamps: true });
 
-module.exports = mongoose.model('Booking', bookingSchema);
\ No newline at end of file
+// A Razorpay payment can back at most one booking
+bookingSchema.index(
+  { 'payment.razorpayPaymentId': 1 },
+  { unique: true, partialFilterExpression: { 'payment.razorpayPaymentId': { $type: 'string' } } }
+);
+
+const Booking = mongoose.model('Booking', bookingSchema);
+
+module.exports = Booking;
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION;
+module.exports.PAYMENT_STATUSES = PAYMENT_STATUSES;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One document per outbound call attempt, kept up to date by Twilio status callbacks
+const callLogSchema = new mongoose.Schema({
+  callSid: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  to: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  from: String,
+  placeName: String,
+  requestedBy: String,
+  ipAddress: {
+    type: String,
+    index: true,
+  },
+  // "blocked" attempts never reached Twilio; see blockedReason
+  status: {
+    type: String,
+    default: 'initiated',
+    enum: ['initiated', 'queued', 'ringing', 'in-progress', 'completed', 'busy', 'no-answer', 'failed', 'canceled', 'blocked'],
+  },
+  blockedReason: String,
+  duration: Number,
+  errorCode: String,
+  events: [{
+    _id: false,
+    status: String,
+    at: { type: Date, default: Date.now },
+  }],
+  answeredAt: Date,
+  endedAt: Date,
+}, { timestamps: true });
+
+module.exports = mongoose.model('CallLog', callLogSchema);
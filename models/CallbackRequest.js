@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Raised from the phone menu when a caller asks us to call them back
+const callbackRequestSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+  },
+  bookingId: String,
+  callSid: String,
+  status: {
+    type: String,
+    default: 'pending',
+    enum: ['pending', 'completed'],
+  },
+}, { timestamps: true });
+
+module.exports = mongoose.model('CallbackRequest', callbackRequestSchema);
@@ -1,27 +1,49 @@
-// server/models/CancellationRequest.js
 const mongoose = require('mongoose');
 
+// Bumped together with a migration in scripts/migrations; new documents are written at this version
+const SCHEMA_VERSION = 1;
+
+// "completed" is kept for requests closed by hand before the approval workflow existed
+const STATUSES = ['pending', 'approved', 'refunded', 'rejected', 'completed'];
+
 const cancellationRequestSchema = new mongoose.Schema({
   paymentId: {
     type: String,
     required: true,
   },
-  destination: {
-    type: String,
-    required: true,
-  },
-  contactNumber: {
-    type: String,
-    required: true,
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    index: true,
   },
+  bookingId: String,
+  destination: String,
+  contactNumber: String,
   reason: {
     type: String,
-    default: "Not specified",
+    default: 'Not specified',
   },
   status: {
     type: String,
-    default: "pending",
-    enum: ["pending", "completed", "rejected"],
+    default: 'pending',
+    enum: STATUSES,
+  },
+  adminNote: String,
+  refundId: String,
+  refundAmount: Number,
+  refundStatus: String,
+  refundError: String,
+  approvedAt: Date,
+  refundedAt: Date,
+  rejectedAt: Date,
+  history: [{
+    status: String,
+    note: String,
+    at: { type: Date, default: Date.now },
+  }],
+  schemaVersion: {
+    type: Number,
+    default: SCHEMA_VERSION,
   },
   createdAt: {
     type: Date,
@@ -29,4 +51,8 @@ const cancellationRequestSchema = new mongoose.Schema({
   },
 });
 
-module.exports = mongoose.model('CancellationRequest', cancellationRequestSchema);
\ No newline at end of file
+const CancellationRequest = mongoose.model('CancellationRequest', cancellationRequestSchema);
+
+module.exports = CancellationRequest;
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION;
+module.exports.STATUSES = STATUSES;
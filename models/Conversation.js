@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  // Gemini roles: "user" for the traveler, "model" for the assistant
+  role: {
+    type: String,
+    enum: ['user', 'model'],
+    required: true,
+  },
+  text: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const conversationSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  title: String,
+  // Catalog entries the user is asking about, carried over to follow-up questions
+  destinationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Destination',
+  },
+  packageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Package',
+  },
+  messages: [messageSchema],
+}, { timestamps: true });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { isValidLngLat } = require('../utils/geo');
+
+const SEASONS = ['winter', 'spring', 'summer', 'monsoon', 'autumn'];
+
+const destinationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // URL-friendly handle, also what /twiml/:placeName is matched against
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+  },
+  description: String,
+  highlights: [String],
+  region: String,
+  country: {
+    type: String,
+    default: 'India',
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      required: true,
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: isValidLngLat,
+        message: 'Coordinates must be [longitude, latitude] within valid ranges',
+      },
+    },
+  },
+  // Best times to visit
+  seasons: [{
+    type: String,
+    enum: SEASONS,
+  }],
+  // Cheapest active package (per traveler per day); kept up to date by utils/catalog
+  fromPrice: Number,
+  active: {
+    type: Boolean,
+    default: true,
+  },
+}, { timestamps: true });
+
+destinationSchema.index({ location: '2dsphere' });
+destinationSchema.index(
+  { name: 'text', region: 'text', country: 'text', description: 'text', highlights: 'text' },
+  { weights: { name: 10, region: 5, highlights: 3 } }
+);
+
+const Destination = mongoose.model('Destination', destinationSchema);
+
+module.exports = Destination;
+module.exports.SEASONS = SEASONS;
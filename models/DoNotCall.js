@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+const doNotCallSchema = new mongoose.Schema({
+  // E.164
+  phone: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  reason: String,
+  addedBy: String,
+}, { timestamps: true });
+
+module.exports = mongoose.model('DoNotCall', doNotCallSchema);
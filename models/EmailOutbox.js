@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Bumped together with a migration in scripts/migrations; new documents are written at this version
+const SCHEMA_VERSION = 1;
+
+// Templates that carry a one-time code or link, which must not sit readable in the outbox
+const SENSITIVE_TEMPLATES = ['otp', 'password-reset'];
+const REDACTED_HTML = '<p>[Content removed after delivery: it contained a one-time code or link]</p>';
+
+// Every outgoing email is stored here first and delivered by the outbox worker with retries
+const emailOutboxSchema = new mongoose.Schema({
+  template: String,
+  from: String,
+  to: {
+    type: String,
+    required: true,
+  },
+  subject: {
+    type: String,
+    required: true,
+  },
+  html: {
+    type: String,
+    required: true,
+  },
+  attachments: [{
+    _id: false,
+    filename: String,
+    contentType: String,
+    content: Buffer,
+  }],
+  // What the email is about, so delivery can be looked up per booking or user
+  bookingId: { type: String, index: true },
+  userId: { type: String, index: true },
+  contactId: String,
+  status: {
+    type: String,
+    default: 'pending',
+    enum: ['pending', 'sending', 'sent', 'failed'],
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedAt: Date,
+  lastError: String,
+  messageId: String,
+  sentAt: Date,
+  // One-time codes and reset links: html is blanked once the email is sent or given up on,
+  // and MongoDB removes the row at deleteAt in case it never gets that far
+  sensitive: {
+    type: Boolean,
+    default: false,
+  },
+  deleteAt: Date,
+  schemaVersion: {
+    type: Number,
+    default: SCHEMA_VERSION,
+  },
+}, { timestamps: true });
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ deleteAt: 1 }, { expireAfterSeconds: 0 });
+
+const EmailOutbox = mongoose.model('EmailOutbox', emailOutboxSchema);
+
+module.exports = EmailOutbox;
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION;
+module.exports.SENSITIVE_TEMPLATES = SENSITIVE_TEMPLATES;
+module.exports.REDACTED_HTML = REDACTED_HTML;
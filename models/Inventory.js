@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Seats reserved while a customer pays, keyed by booking ID; expired holds no longer count
+const holdSchema = new mongoose.Schema({
+  ref: {
+    type: String,
+    required: true,
+  },
+  seats: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  // User who placed the order, for the per-user cap on held seats
+  owner: String,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, { _id: false });
+
+// Seats for one catalog package on one departure date (UTC midnight).
+// Created on first use from Package.capacityPerDate, or by an admin override or closure.
+const inventorySchema = new mongoose.Schema({
+  package: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Package',
+    required: true,
+  },
+  date: {
+    type: Date,
+    required: true,
+  },
+  // Unset means unlimited: the package has no capacityPerDate and the row only exists to close the day
+  capacity: {
+    type: Number,
+    min: 0,
+  },
+  // Capacity set by an admin; other rows follow Package.capacityPerDate when it changes
+  capacityOverride: {
+    type: Boolean,
+    default: false,
+  },
+  // Seats on confirmed bookings
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Stops new holds; confirmed bookings are kept
+  closed: {
+    type: Boolean,
+    default: false,
+  },
+  holds: [holdSchema],
+}, { timestamps: true });
+
+inventorySchema.index({ package: 1, date: 1 }, { unique: true });
+inventorySchema.index({ 'holds.expiresAt': 1 });
+inventorySchema.index({ 'holds.owner': 1 }, { sparse: true });
+
+module.exports = mongoose.model('Inventory', inventorySchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// The live one-time code for a purpose/subject pair (e.g. signup + email). Only a keyed hash is stored.
+const otpChallengeSchema = new mongoose.Schema({
+  purpose: {
+    type: String,
+    required: true,
+    enum: ['signup', 'password-reset', 'phone-verify', 'phone-login'],
+  },
+  subject: {
+    type: String,
+    required: true,
+  },
+  userId: String,
+  codeHash: String,
+  expiresAt: Date,
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: Date,
+  lastSentAt: Date,
+}, { timestamps: true });
+
+otpChallengeSchema.index({ purpose: 1, subject: 1 }, { unique: true });
+// Stale challenges (including expired lockouts) are cleaned up after a day of inactivity
+otpChallengeSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('OtpChallenge', otpChallengeSchema);
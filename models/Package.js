@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const pricing = require('../config/pricing');
+const { SEASONS } = require('./Destination');
+
+const packageSchema = new mongoose.Schema({
+  destination: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Destination',
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+  },
+  description: String,
+  // Pricing tier the package belongs to (see config/pricing)
+  packageType: {
+    type: String,
+    enum: Object.keys(pricing.packages),
+    default: pricing.defaultPackage,
+  },
+  durationDays: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  // Per traveler per day in INR, replacing the tier rate from config/pricing
+  basePrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Add-ons bundled into the base price; they are never charged on top
+  includedAddons: [{
+    type: String,
+    enum: Object.keys(pricing.addons),
+  }],
+  // Seats per departure date unless overridden in Inventory; unset means unlimited
+  capacityPerDate: {
+    type: Number,
+    min: 0,
+  },
+  // Seasons the package runs in; empty means all year
+  seasons: [{
+    type: String,
+    enum: SEASONS,
+  }],
+  active: {
+    type: Boolean,
+    default: true,
+  },
+}, { timestamps: true });
+
+packageSchema.index({ name: 'text', description: 'text' }, { weights: { name: 10 } });
+packageSchema.index({ active: 1, basePrice: 1 });
+
+module.exports = mongoose.model('Package', packageSchema);
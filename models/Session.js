@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One document per signed-in device; the refresh token rotates on every use
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  // SHA-256 of the current refresh token secret; the previous one is kept to detect replay
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  previousTokenHash: String,
+  device: String,
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: Date,
+  revokedReason: String,
+}, { timestamps: true });
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// One document per provider event; the unique eventId makes redeliveries no-ops
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    default: 'razorpay',
+  },
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    default: 'received',
+    enum: ['received', 'processed', 'ignored'],
+  },
+  bookingId: String,
+  payload: Object,
+  processedAt: Date,
+}, { timestamps: true });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,57 @@
+const { z, optionalText, objectId, email, timeZone, latitude, longitude, pageQuery, dateRangeQuery, idParams } = require('./common');
+const EmailOutbox = require('../models/EmailOutbox');
+const Booking = require('../models/Booking');
+
+// Filters understood by buildBookingFilter in server.js
+const bookingFilterQuery = {
+  ...dateRangeQuery,
+  dateField: z.enum(['createdAt', 'startDate']).default('createdAt'),
+  destination: optionalText(200),
+  paymentStatus: z.enum(Booking.PAYMENT_STATUSES).optional(),
+  email: email.optional(),
+  bookingId: optionalText(64)
+};
+
+module.exports = {
+  listBookings: {
+    query: z.object({ ...bookingFilterQuery, ...pageQuery })
+  },
+  revenueReport: {
+    query: z.object({
+      ...bookingFilterQuery,
+      groupBy: z.enum(['day', 'destination', 'addon']).default('day'),
+      tz: timeZone.default('UTC')
+    })
+  },
+  cancellationReport: {
+    query: z.object(bookingFilterQuery)
+  },
+  listNotifications: {
+    query: z.object({
+      bookingId: optionalText(64),
+      userId: optionalText(64),
+      contactId: objectId.optional(),
+      status: z.enum(EmailOutbox.schema.path('status').enumValues).optional(),
+      template: optionalText(100),
+      ...pageQuery
+    })
+  },
+  retryNotification: {
+    params: idParams
+  },
+  nearbyContacts: {
+    query: z.object({
+      lng: longitude,
+      lat: latitude,
+      radiusKm: z.coerce.number().positive().max(20000).default(10),
+      limit: z.coerce.number().int().min(1).max(500).default(100),
+      ...dateRangeQuery
+    })
+  },
+  contactHeatmap: {
+    query: z.object({
+      cellSize: z.coerce.number().positive().max(90).default(1),
+      ...dateRangeQuery
+    })
+  }
+};
@@ -0,0 +1,49 @@
+const { z, text, objectId, email, password, phone, otp } = require('./common');
+
+const deviceName = z.string().trim().max(60).optional();
+
+module.exports = {
+  signup: {
+    body: z.object({ name: text(100), email, password })
+  },
+  verifyOtp: {
+    body: z.object({ email, otp })
+  },
+  resendOtp: {
+    body: z.object({ email })
+  },
+  login: {
+    body: z.object({ email, password: z.string().min(1, 'Required').max(128), deviceName })
+  },
+  forgotPassword: {
+    body: z.object({ email })
+  },
+  resetPasswordWithToken: {
+    params: z.object({ token: z.string().min(1).max(1000) }),
+    body: z.object({ password })
+  },
+  resetPasswordWithOtp: {
+    body: z.object({ email, otp, password })
+  },
+  refresh: {
+    body: z.object({ refreshToken: z.string().min(1, 'Required').max(200) })
+  },
+  logout: {
+    body: z.object({ refreshToken: z.string().max(200).optional() })
+  },
+  revokeSession: {
+    params: z.object({ id: objectId })
+  },
+  addPhone: {
+    body: z.object({ phone })
+  },
+  verifyPhone: {
+    body: z.object({ otp })
+  },
+  sendPhoneOtp: {
+    body: z.object({ phone })
+  },
+  phoneLogin: {
+    body: z.object({ phone, otp, deviceName })
+  }
+};
@@ -0,0 +1,114 @@
+const { z, text, optionalText, objectId, email, phone, dateString, idParams, record } = require('./common');
+const pricing = require('../config/pricing');
+
+const bookingId = z.string().trim().regex(/^[\w-]{1,64}$/, 'Must be letters, digits, "-" or "_"');
+const paymentId = text(100);
+const note = optionalText(1000);
+// Refund amount an admin sets by hand; only accepted for bookings without a start date
+const refundAmount = z.number().positive().optional();
+
+const startOfToday = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+};
+
+// Matches the add-on flags stored on a booking; unknown keys are dropped
+const addonFlag = z.boolean().optional();
+const addons = z.object({
+  flight: addonFlag,
+  hotel: addonFlag,
+  car: addonFlag,
+  train: addonFlag,
+  bus: addonFlag,
+  guide: addonFlag
+});
+
+// Checkout returns snake_case fields; older clients send camelCase
+const razorpayField = (camel, snake) => (payment) => !!(payment[camel] || payment[snake]);
+const payment = z.object({
+  razorpayOrderId: z.string().optional(),
+  razorpay_order_id: z.string().optional(),
+  razorpayPaymentId: z.string().optional(),
+  razorpay_payment_id: z.string().optional(),
+  razorpaySignature: z.string().optional(),
+  razorpay_signature: z.string().optional()
+})
+  .refine(razorpayField('razorpayOrderId', 'razorpay_order_id'), { message: 'Razorpay order ID is required', path: ['razorpayOrderId'] })
+  .refine(razorpayField('razorpayPaymentId', 'razorpay_payment_id'), { message: 'Razorpay payment ID is required', path: ['razorpayPaymentId'] })
+  .refine(razorpayField('razorpaySignature', 'razorpay_signature'), { message: 'Razorpay signature is required', path: ['razorpaySignature'] });
+
+module.exports = {
+  createOrder: {
+    body: z.object({
+      packageType: z.string().trim().toLowerCase()
+        .refine(type => pricing.packages[type] !== undefined, `Must be one of ${Object.keys(pricing.packages).join(', ')}`)
+        .optional(),
+      travelers: z.coerce.number().int().min(1).max(50).optional(),
+      duration: z.coerce.number().int().min(1).max(60).optional(),
+      addons: record.optional(),
+      bookingId: bookingId.optional(),
+      // Price from a catalog package instead of the packageType tier rate; seats are held for startDate.
+      // The booking's start date (and so its refund tier) comes from here, never from createBooking.
+      packageId: objectId.optional(),
+      startDate: dateString.optional()
+    })
+      .refine(body => !body.packageId || body.startDate, { message: 'Required when booking a package', path: ['startDate'] })
+      .refine(body => !body.startDate || new Date(body.startDate) >= startOfToday(), { message: 'Must not be in the past', path: ['startDate'] })
+  },
+  createBooking: {
+    body: z.object({
+      bookingId,
+      travelerInfo: z.object({
+        name: text(100),
+        email,
+        phone,
+        travelerNames: z.array(text(100)).max(50).optional()
+      }),
+      destination: optionalText(200),
+      // The start date is taken from the payment order; see createOrder
+      endDate: dateString.optional(),
+      addons: addons.optional(),
+      flightData: record.optional(),
+      hotelData: record.optional(),
+      carData: record.optional(),
+      trainData: record.optional(),
+      busData: record.optional(),
+      payment
+    })
+  },
+  userBookings: {
+    params: z.object({ userId: text(64) })
+  },
+  bookingDocument: {
+    params: z.object({ bookingId })
+  },
+  createCancellation: {
+    body: z.object({
+      paymentId,
+      destination: optionalText(200),
+      contactNumber: optionalText(30),
+      reason: optionalText(1000)
+    })
+  },
+  reviewCancellation: {
+    params: idParams,
+    body: z.object({ note })
+  },
+  approveCancellation: {
+    params: idParams,
+    body: z.object({ note, amount: refundAmount })
+  },
+  refundQuote: {
+    params: z.object({ paymentId })
+  },
+  refund: {
+    body: z.object({ payment_id: paymentId, reason: note, amount: refundAmount })
+  },
+  // Only the fields we read; the signature covers the raw body
+  razorpayWebhook: {
+    body: z.looseObject({
+      event: text(100),
+      payload: record.optional()
+    })
+  }
+};
@@ -0,0 +1,60 @@
+const { z, text, optionalText, objectId, phone, pageQuery, dateRangeQuery } = require('./common');
+const CallLog = require('../models/CallLog');
+
+const CALL_STATUSES = CallLog.schema.path('status').enumValues;
+const BLOCK_REASONS = ['do_not_call', 'quiet_hours', 'number_limit', 'ip_limit'];
+
+// Twilio posts many more parameters than we read; they must stay on the body for signature checks
+const twilioBody = z.looseObject({
+  Digits: z.string().optional(),
+  From: z.string().optional(),
+  CallSid: z.string().optional()
+});
+
+module.exports = {
+  callUser: {
+    body: z.object({ phoneNumber: phone, placeName: text(100) })
+  },
+  // callId is the CallLog we put in the statusCallback URL; older calls only have the CallSid
+  callStatus: {
+    query: z.object({ callId: objectId.optional() }),
+    body: z.looseObject({
+      CallSid: text(64),
+      CallStatus: z.enum(CALL_STATUSES),
+      CallDuration: z.string().regex(/^\d+$/).optional(),
+      ErrorCode: z.string().optional(),
+      Timestamp: z.string().optional()
+    })
+  },
+  listCalls: {
+    query: z.object({
+      phone: phone.optional(),
+      status: z.enum(CALL_STATUSES).optional(),
+      ipAddress: optionalText(64),
+      requestedBy: optionalText(64),
+      blockedReason: z.enum(BLOCK_REASONS).optional(),
+      ...dateRangeQuery,
+      ...pageQuery
+    })
+  },
+  listDoNotCall: {
+    query: z.object(pageQuery)
+  },
+  addDoNotCall: {
+    body: z.object({ phone, reason: optionalText(500) })
+  },
+  removeDoNotCall: {
+    params: z.object({ phone })
+  },
+  ivr: {
+    body: twilioBody
+  },
+  ivrBookingMenu: {
+    query: z.object({ bookingId: optionalText(64) }),
+    body: twilioBody
+  },
+  placeCall: {
+    params: z.object({ placeName: text(100) }),
+    body: twilioBody
+  }
+};
@@ -0,0 +1,149 @@
+const { z, text, optionalText, objectId, dateString, coordinates, latitude, longitude, pageQuery, idParams } = require('./common');
+const pricing = require('../config/pricing');
+const { SEASONS } = require('../models/Destination');
+
+const slug = z.string().trim().toLowerCase().regex(/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Must be lowercase letters, digits and dashes').max(80);
+const season = z.enum(SEASONS);
+const seasons = z.array(season).max(SEASONS.length);
+const price = z.coerce.number().min(0);
+
+// Price filters are per traveler per day, like Package.basePrice
+const priceRange = z.object({ minPrice: price.optional(), maxPrice: price.optional() })
+  .refine(({ minPrice, maxPrice }) => minPrice === undefined || maxPrice === undefined || minPrice <= maxPrice, {
+    message: 'minPrice must not be greater than maxPrice',
+    path: ['maxPrice']
+  });
+
+const searchQuery = z.object({
+  q: optionalText(100),
+  season: season.optional(),
+  ...pageQuery
+});
+
+// Admin lists include archived entries unless ?active= narrows them
+const adminListQuery = z.object({
+  q: optionalText(100),
+  active: z.enum(['true', 'false']).transform(value => value === 'true').optional(),
+  ...pageQuery
+});
+
+const destinationBody = z.object({
+  name: text(120),
+  slug: slug.optional(),
+  description: optionalText(5000),
+  highlights: z.array(text(200)).max(30).optional(),
+  region: optionalText(120),
+  country: optionalText(120),
+  coordinates,
+  seasons: seasons.optional(),
+  active: z.boolean().optional()
+});
+
+const packageBody = z.object({
+  destination: objectId,
+  name: text(120),
+  slug: slug.optional(),
+  description: optionalText(5000),
+  packageType: z.enum(Object.keys(pricing.packages)).optional(),
+  durationDays: z.coerce.number().int().min(1).max(60),
+  basePrice: price,
+  includedAddons: z.array(z.enum(Object.keys(pricing.addons))).optional(),
+  // null removes the limit
+  capacityPerDate: z.coerce.number().int().min(0).max(10000).nullable().optional(),
+  seasons: seasons.optional(),
+  active: z.boolean().optional()
+});
+
+const MAX_CALENDAR_DAYS = 92;
+const MAX_INVENTORY_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Inclusive from/to day range no longer than maxDays
+const dayRange = (schema, maxDays) => schema
+  .refine(({ from, to }) => !from || !to || new Date(from) <= new Date(to), {
+    message: 'to must not be before from',
+    path: ['to']
+  })
+  .refine(({ from, to }) => !from || !to || (new Date(to) - new Date(from)) / DAY_MS < maxDays, {
+    message: `Range must be at most ${maxDays} days`,
+    path: ['to']
+  });
+
+// Updates take any subset of the create fields, but at least one
+const patch = (schema) => schema.partial().refine(body => Object.keys(body).length > 0, 'Nothing to update');
+
+module.exports = {
+  listDestinations: {
+    query: searchQuery.extend({ country: optionalText(120) }).and(priceRange)
+  },
+  nearbyDestinations: {
+    query: z.object({
+      lng: longitude,
+      lat: latitude,
+      radiusKm: z.coerce.number().positive().max(20000).default(100),
+      limit: z.coerce.number().int().min(1).max(100).default(20),
+      season: season.optional()
+    })
+  },
+  // Public pages link by slug; the ID (24 hex digits, so also slug-shaped) works too
+  destination: {
+    params: z.object({ idOrSlug: slug })
+  },
+  listPackages: {
+    query: searchQuery.extend({
+      destination: objectId.optional(),
+      packageType: z.enum(Object.keys(pricing.packages)).optional()
+    }).and(priceRange)
+  },
+  package: {
+    params: idParams
+  },
+  // Defaults to 30 days from today (or from `from`)
+  availability: {
+    params: idParams,
+    query: dayRange(
+      z.object({ from: dateString.optional(), to: dateString.optional() }).transform(({ from, to }) => {
+        const start = from ? new Date(from) : new Date();
+        return { from: start, to: to ? new Date(to) : new Date(start.getTime() + 30 * DAY_MS) };
+      }),
+      MAX_CALENDAR_DAYS
+    )
+  },
+  adminListDestinations: {
+    query: adminListQuery
+  },
+  createDestination: {
+    body: destinationBody
+  },
+  updateDestination: {
+    params: idParams,
+    body: patch(destinationBody)
+  },
+  archiveDestination: {
+    params: idParams
+  },
+  adminListPackages: {
+    query: adminListQuery.extend({ destination: objectId.optional() })
+  },
+  createPackage: {
+    body: packageBody
+  },
+  updatePackage: {
+    params: idParams,
+    body: patch(packageBody)
+  },
+  archivePackage: {
+    params: idParams
+  },
+  setInventory: {
+    params: idParams,
+    body: dayRange(z.object({
+      from: dateString,
+      to: dateString,
+      // null drops the override and follows the package's capacityPerDate again
+      capacity: z.number().int().min(0).max(10000).nullable().optional(),
+      closed: z.boolean().optional()
+    }), MAX_INVENTORY_DAYS)
+      .refine(body => body.capacity !== undefined || body.closed !== undefined, 'Set capacity, closed or both')
+  }
+};
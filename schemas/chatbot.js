@@ -0,0 +1,16 @@
+const { z, text, objectId, idParams } = require('./common');
+
+module.exports = {
+  ask: {
+    body: z.object({
+      question: text(2000),
+      conversationId: objectId.optional(),
+      // Ground the answer in a catalog entry (see /api/destinations and /api/packages)
+      destinationId: objectId.optional(),
+      packageId: objectId.optional()
+    })
+  },
+  conversation: {
+    params: idParams
+  }
+};
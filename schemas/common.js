@@ -0,0 +1,85 @@
+const { z } = require('zod');
+const { decodeCursor } = require('../utils/pagination');
+const { toE164 } = require('../utils/phone');
+const { isValidLngLat } = require('../utils/geo');
+
+// Building blocks shared by the route schemas
+const text = (max = 200) => z.string().trim().min(1, 'Required').max(max);
+const optionalText = (max = 200) => z.string().trim().max(max).optional();
+
+const objectId = z.string().regex(/^[a-f\d]{24}$/i, 'Must be a valid ID');
+
+const email = z.string().trim().max(254).pipe(z.email('Must be a valid email address'));
+
+const password = z.string().min(8, 'Must be at least 8 characters').max(128);
+
+// Kept as entered; routes normalise with toE164
+const phone = z.string().trim().max(30).refine(value => !!toE164(value), 'Must be a valid phone number');
+
+// Six-digit one-time code; numeric JSON values are accepted too
+const otp = z.union([z.string(), z.number()])
+  .transform(value => String(value).trim())
+  .pipe(z.string().regex(/^\d{6}$/, 'Must be a 6-digit code'));
+
+const dateString = z.string().refine(value => !Number.isNaN(Date.parse(value)), 'Must be a valid date');
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: value });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+const timeZone = z.string().refine(isTimeZone, 'Must be an IANA time zone such as Asia/Kolkata');
+
+const coordinates = z.array(z.coerce.number())
+  .length(2, 'Must be [longitude, latitude]')
+  .refine(isValidLngLat, 'Coordinates must be [longitude, latitude] within valid ranges');
+
+const latitude = z.coerce.number().min(-90).max(90);
+const longitude = z.coerce.number().min(-180).max(180);
+
+const isCursor = (value) => {
+  try {
+    return !!decodeCursor(value);
+  } catch (err) {
+    return false;
+  }
+};
+
+// Query string parts for cursor-paginated lists and from/to date filters
+const pageQuery = {
+  cursor: z.string().refine(isCursor, 'Invalid cursor').optional(),
+  limit: z.coerce.number().int().min(1).optional()
+};
+
+const dateRangeQuery = {
+  from: dateString.optional(),
+  to: dateString.optional()
+};
+
+const idParams = z.object({ id: objectId });
+
+// Free-form objects stored as-is (flight/hotel details, add-on flags)
+const record = z.record(z.string(), z.unknown());
+
+module.exports = {
+  z,
+  text,
+  optionalText,
+  objectId,
+  email,
+  password,
+  phone,
+  otp,
+  dateString,
+  timeZone,
+  coordinates,
+  latitude,
+  longitude,
+  pageQuery,
+  dateRangeQuery,
+  idParams,
+  record
+};
@@ -0,0 +1,33 @@
+const { z, text, optionalText, timeZone, dateRangeQuery } = require('./common');
+
+const stars = z.number().int().min(1).max(5);
+
+module.exports = {
+  createFeedback: {
+    body: z.object({
+      bookingId: text(64),
+      rating: stars.optional(),
+      recommendScore: z.number().int().min(0).max(10).optional(),
+      componentRatings: z.object({
+        hotel: stars.optional(),
+        transport: stars.optional(),
+        guide: stars.optional()
+      }).optional(),
+      improvement: optionalText(2000)
+    })
+  },
+  npsReport: {
+    query: z.object({
+      groupBy: z.enum(['overall', 'destination', 'addon']).default('overall'),
+      ...dateRangeQuery
+    })
+  },
+  ratingsReport: {
+    query: z.object({
+      interval: z.enum(['day', 'week', 'month']).default('month'),
+      destination: optionalText(200),
+      tz: timeZone.default('UTC'),
+      ...dateRangeQuery
+    })
+  }
+};
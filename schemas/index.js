@@ -0,0 +1,12 @@
+// Request schemas for every route, grouped like the sections of server.js.
+// Use with middleware/validate: app.post('/path', validate(schemas.auth.signup), handler)
+module.exports = {
+  auth: require('./auth'),
+  support: require('./support'),
+  bookings: require('./bookings'),
+  calls: require('./calls'),
+  feedback: require('./feedback'),
+  chatbot: require('./chatbot'),
+  catalog: require('./catalog'),
+  admin: require('./admin')
+};
@@ -0,0 +1,49 @@
+const { z, text, optionalText, objectId, email, coordinates, pageQuery, idParams } = require('./common');
+
+const TICKET_STATUSES = ['open', 'in-progress', 'resolved'];
+
+const ticketToken = z.object({ token: z.string().min(1, 'Required').max(1000) });
+
+module.exports = {
+  contact: {
+    body: z.object({
+      name: text(100),
+      email,
+      phone: optionalText(30),
+      subject: text(200),
+      message: text(5000),
+      coordinates
+    })
+  },
+  customerTicket: {
+    params: idParams,
+    query: ticketToken
+  },
+  customerReply: {
+    params: idParams,
+    query: ticketToken,
+    body: z.object({ message: text(5000) })
+  },
+  listTickets: {
+    query: z.object({
+      status: z.enum(TICKET_STATUSES).optional(),
+      assignee: z.union([z.literal('none'), objectId]).optional(),
+      ...pageQuery
+    })
+  },
+  ticket: {
+    params: idParams
+  },
+  updateTicket: {
+    params: idParams,
+    body: z.object({
+      status: z.enum(TICKET_STATUSES).optional(),
+      // null or "" unassigns
+      assignee: z.union([objectId, z.literal(''), z.null()]).optional()
+    })
+  },
+  agentReply: {
+    params: idParams,
+    body: z.object({ message: text(5000), resolve: z.boolean().optional() })
+  }
+};
@@ -1,23 +1,19 @@
 require('dotenv').config();
 
-const axios = require('axios');
+const { getProvider } = require('../utils/llm');
 
+// Usage: node scripts/listModels.js [gemini|openai|stub]   (defaults to LLM_PROVIDER, then gemini)
 async function listModels() {
   try {
-    const apiKey = process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY;
-    if (!apiKey) {
+    const provider = getProvider(process.argv[2]);
+    if (provider.name === 'gemini' && !process.env.GOOGLE_API_KEY && !process.env.GEMINI_API_KEY) {
       console.error('Missing GOOGLE_API_KEY or GEMINI_API_KEY in environment.');
       process.exit(1);
     }
 
-    const url = `https://generativelanguage.googleapis.com/v1/models?key=${apiKey}`;
-    const { data } = await axios.get(url);
-
-    const models = data.models || [];
-    for (const m of models) {
-      const name = m.name || m.model || 'unknown';
-      const methods = m.supportedMethods || m.supported_methods || m.supportedGenerationMethods || [];
-      console.log(JSON.stringify({ name, supported: methods }, null, 2));
+    const models = await provider.listModels();
+    for (const { name, supported } of models) {
+      console.log(JSON.stringify({ name, supported }, null, 2));
     }
   } catch (err) {
     console.error('Error listing models:', err?.response?.data || err.message || err);
@@ -25,4 +21,4 @@ async function listModels() {
   }
 }
 
-listModels();
\ No newline at end of file
+listModels();
@@ -0,0 +1,181 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+// Usage: node scripts/migrate.js <status|up> [--dry-run] [--only 001-canonical-bookings] [--report report.json]
+// Each file in scripts/migrations brings one collection up to a schemaVersion. `up` runs every
+// migration over the documents still below its version; documents it can't convert are left
+// untouched and listed in the report, so fixing them by hand and re-running picks them up.
+// --dry-run computes the same changes and report without writing anything.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const BATCH_SIZE = 500;
+const REPORT_PREVIEW = 20;
+
+function parseArgs(argv) {
+  const args = { command: argv[0] };
+  for (let i = 1; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--dry-run') args.dryRun = true;
+    else if (flag.startsWith('--')) args[flag.slice(2)] = argv[++i];
+  }
+  return args;
+}
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d{3}-.+\.js$/.test(file))
+    .sort()
+    .map(file => ({ id: path.basename(file, '.js'), ...require(path.join(MIGRATIONS_DIR, file)) }));
+}
+
+const outdated = (version) => ({
+  $or: [{ schemaVersion: { $exists: false } }, { schemaVersion: { $lt: version } }]
+});
+
+async function showStatus(db, migrations) {
+  const applied = await db.collection('schemamigrations').find().sort({ appliedAt: -1 }).toArray();
+
+  for (const migration of migrations) {
+    const pending = await db.collection(migration.collection).countDocuments(outdated(migration.version));
+    const last = applied.find(run => run.id === migration.id);
+    const lastRun = last ? `last run ${last.appliedAt.toISOString()}` : 'never run';
+    console.log(`${migration.id} (${migration.collection} → v${migration.version}): ${pending} document(s) pending, ${lastRun}`);
+  }
+}
+
+async function runMigration(db, migration, { dryRun }) {
+  const collection = db.collection(migration.collection);
+  const ctx = migration.prepare ? await migration.prepare(db) : {};
+  const stats = { scanned: 0, changed: 0, versionOnly: 0, unconvertible: 0, fields: {} };
+  const unconvertible = [];
+  let batch = [];
+
+  const flush = async () => {
+    if (!dryRun && batch.length) await collection.bulkWrite(batch, { ordered: false });
+    batch = [];
+  };
+
+  const cursor = collection.find(outdated(migration.version));
+  for await (const doc of cursor) {
+    stats.scanned++;
+    const change = await migration.migrate(doc, ctx);
+
+    if (change.problems.length) {
+      stats.unconvertible++;
+      unconvertible.push({ migration: migration.id, collection: migration.collection, _id: String(doc._id), problems: change.problems });
+      continue;
+    }
+
+    const changedPaths = [...Object.keys(change.set), ...change.unset];
+    if (changedPaths.length) stats.changed++;
+    else stats.versionOnly++;
+    changedPaths.forEach(field => { stats.fields[field] = (stats.fields[field] || 0) + 1; });
+
+    const update = { $set: { ...change.set, schemaVersion: migration.version } };
+    if (change.unset.length) update.$unset = Object.fromEntries(change.unset.map(field => [field, '']));
+    // Guard on the version so a concurrent run can't apply the same change twice
+    batch.push({ updateOne: { filter: { _id: doc._id, ...outdated(migration.version) }, update } });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  if (!dryRun) {
+    await db.collection('schemamigrations').insertOne({
+      id: migration.id,
+      collection: migration.collection,
+      version: migration.version,
+      appliedAt: new Date(),
+      scanned: stats.scanned,
+      migrated: stats.changed + stats.versionOnly,
+      unconvertible: stats.unconvertible
+    });
+  }
+
+  return { stats, unconvertible };
+}
+
+// Unique indexes (bookingId, payment ID) can only be built once duplicates are resolved
+async function ensureIndexes() {
+  const models = [require('../models/Booking'), require('../models/CancellationRequest'), require('../models/EmailOutbox')];
+  for (const Model of models) {
+    try {
+      await Model.createIndexes();
+      console.log(`Indexes ready for ${Model.collection.name}`);
+    } catch (err) {
+      console.error(`Could not build indexes for ${Model.collection.name}: ${err.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+function printSummary(migration, { stats, unconvertible }, dryRun) {
+  const verb = dryRun ? 'would update' : 'updated';
+  console.log(`\n${migration.id}: ${migration.description}`);
+  console.log(`  scanned ${stats.scanned}, ${verb} ${stats.changed} (+${stats.versionOnly} version-only), unconvertible ${stats.unconvertible}`);
+
+  Object.entries(stats.fields)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([field, count]) => console.log(`    ${field}: ${count}`));
+
+  unconvertible.slice(0, REPORT_PREVIEW).forEach(row => {
+    console.log(`  ✗ ${row._id}: ${row.problems.join('; ')}`);
+  });
+  if (unconvertible.length > REPORT_PREVIEW) {
+    console.log(`  … and ${unconvertible.length - REPORT_PREVIEW} more (use --report to save them all)`);
+  }
+}
+
+async function migrate() {
+  const args = parseArgs(process.argv.slice(2));
+  let migrations = loadMigrations();
+
+  if (!['status', 'up'].includes(args.command)) {
+    console.error('Usage: node scripts/migrate.js <status|up> [--dry-run] [--only <migration>] [--report <file>]');
+    console.error(`Migrations: ${migrations.map(m => m.id).join(', ')}`);
+    process.exit(1);
+  }
+
+  if (args.only) {
+    migrations = migrations.filter(m => m.id === args.only);
+    if (!migrations.length) {
+      console.error(`Unknown migration: ${args.only}`);
+      process.exit(1);
+    }
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI, { autoIndex: false });
+    const db = mongoose.connection.db;
+
+    if (args.command === 'status') {
+      await showStatus(db, migrations);
+      return;
+    }
+
+    if (args.dryRun) console.log('Dry run: no documents will be changed.');
+
+    const report = [];
+    for (const migration of migrations) {
+      const result = await runMigration(db, migration, { dryRun: args.dryRun });
+      printSummary(migration, result, args.dryRun);
+      report.push(...result.unconvertible);
+    }
+
+    if (!args.dryRun) await ensureIndexes();
+
+    if (args.report) {
+      fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+      console.log(`\nWrote ${report.length} unconvertible row(s) to ${args.report}`);
+    }
+    if (report.length) process.exitCode = 1;
+  } catch (err) {
+    console.error('Migration failed:', err.message || err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrate();
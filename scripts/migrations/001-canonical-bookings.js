@@ -0,0 +1,193 @@
+const { toDate, toNumber, toBoolean, createChange } = require('./helpers');
+const { PAYMENT_STATUSES } = require('../../models/Booking');
+
+// Bookings written by the old inline schema in server.js: untyped payment/addons, string dates and
+// numbers, snake_case Razorpay fields from checkout, and no link to the account that paid.
+
+const ADDONS = ['flight', 'hotel', 'car', 'train', 'bus', 'guide'];
+
+const PAYMENT_FIELDS = {
+  razorpay_order_id: 'razorpayOrderId',
+  razorpay_payment_id: 'razorpayPaymentId',
+  razorpay_signature: 'razorpaySignature'
+};
+
+// Status spellings seen in old documents
+const PAYMENT_STATUS_ALIASES = {
+  success: 'paid',
+  successful: 'paid',
+  captured: 'paid',
+  completed: 'paid',
+  created: 'pending',
+  canceled: 'cancelled'
+};
+
+async function duplicatesOf(collection, field) {
+  const rows = await collection.aggregate([
+    { $match: { [field]: { $type: 'string', $ne: '' } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]).toArray();
+  return new Set(rows.map(row => row._id));
+}
+
+async function prepare(db) {
+  const bookings = db.collection('bookings');
+  return {
+    users: db.collection('users'),
+    duplicateBookingIds: await duplicatesOf(bookings, 'bookingId'),
+    duplicatePaymentIds: await duplicatesOf(bookings, 'payment.razorpayPaymentId')
+  };
+}
+
+function normalizeTraveler(doc, change) {
+  const info = doc.travelerInfo;
+  if (!info || typeof info !== 'object') {
+    change.problem('travelerInfo is missing');
+    return;
+  }
+
+  ['name', 'email', 'phone'].forEach(field => {
+    const value = typeof info[field] === 'string' ? info[field].trim() : info[field];
+    if (!value) change.problem(`travelerInfo.${field} is missing`);
+    else change.setIfChanged(`travelerInfo.${field}`, info[field], field === 'email' ? String(value).toLowerCase() : String(value));
+  });
+
+  let names = info.travelerNames;
+  if (names === undefined || names === null) names = [];
+  else if (typeof names === 'string') names = names.split(',');
+  if (!Array.isArray(names)) {
+    change.problem('travelerInfo.travelerNames is not a list');
+    return;
+  }
+  change.setIfChanged('travelerInfo.travelerNames', info.travelerNames, names.map(name => String(name).trim()).filter(Boolean));
+}
+
+function normalizeAddons(doc, change) {
+  if (doc.addons === undefined || doc.addons === null) return;
+
+  // Early clients sent a list of selected add-ons
+  const source = Array.isArray(doc.addons)
+    ? Object.fromEntries(doc.addons.map(addon => [String(addon).toLowerCase(), true]))
+    : doc.addons;
+
+  if (typeof source !== 'object') {
+    change.problem('addons is not an object');
+    return;
+  }
+
+  const addons = {};
+  ADDONS.forEach(addon => {
+    if (source[addon] === undefined) return;
+    const flag = toBoolean(source[addon]);
+    if (flag === undefined) change.problem(`addons.${addon} is not a yes/no value`);
+    else addons[addon] = flag;
+  });
+  change.setIfChanged('addons', doc.addons, addons);
+}
+
+function normalizePayment(doc, change, ctx) {
+  const payment = doc.payment;
+  if (!payment || typeof payment !== 'object') {
+    change.problem('payment is missing');
+    return;
+  }
+
+  Object.entries(PAYMENT_FIELDS).forEach(([snake, camel]) => {
+    if (payment[snake] === undefined) return;
+    if (!payment[camel]) change.set[`payment.${camel}`] = payment[snake];
+    change.unset.push(`payment.${snake}`);
+  });
+  const paymentId = payment.razorpayPaymentId || payment.razorpay_payment_id;
+  if (paymentId && ctx.duplicatePaymentIds.has(paymentId)) {
+    change.problem(`payment ${paymentId} is shared with another booking`);
+  }
+
+  ['amount', 'tax'].forEach(field => {
+    const value = toNumber(payment[field]);
+    if (value === undefined) change.problem(`payment.${field} is not a number: ${payment[field]}`);
+    else if (value !== null) change.setIfChanged(`payment.${field}`, payment[field], value);
+  });
+
+  let status = typeof payment.status === 'string' ? payment.status.trim().toLowerCase() : payment.status;
+  status = PAYMENT_STATUS_ALIASES[status] || status;
+  if (!status) status = paymentId ? 'paid' : 'pending';
+
+  // Refunds written before payment.status was kept in sync
+  const refundStatus = doc.cancellationDetails?.refundStatus;
+  if (doc.cancellationDetails && ['paid', 'pending'].includes(status)) {
+    status = refundStatus === 'processed' ? 'refunded' : 'cancelled';
+  }
+
+  if (!PAYMENT_STATUSES.includes(status)) change.problem(`payment.status "${payment.status}" is not recognised`);
+  else change.setIfChanged('payment.status', payment.status, status);
+
+  if (payment.currency === undefined) change.set['payment.currency'] = 'INR';
+}
+
+async function linkAccount(doc, change, ctx) {
+  if (doc.userId) {
+    change.setIfChanged('userId', doc.userId, String(doc.userId));
+    return;
+  }
+
+  // Guest bookings are claimed by a verified account with the same email
+  const email = doc.travelerInfo?.email;
+  if (typeof email !== 'string' || !email.trim()) return;
+  const user = await ctx.users.findOne(
+    { email: email.trim(), verified: true },
+    { projection: { _id: 1 }, collation: { locale: 'en', strength: 2 } }
+  );
+  if (user) change.set.userId = String(user._id);
+}
+
+async function migrate(doc, ctx) {
+  const change = createChange();
+
+  if (doc.bookingId === undefined || doc.bookingId === null || String(doc.bookingId).trim() === '') {
+    change.problem('bookingId is missing');
+  } else {
+    const bookingId = String(doc.bookingId).trim();
+    if (ctx.duplicateBookingIds.has(doc.bookingId)) change.problem(`bookingId ${bookingId} is used by more than one booking`);
+    change.setIfChanged('bookingId', doc.bookingId, bookingId);
+  }
+
+  normalizeTraveler(doc, change);
+  normalizeAddons(doc, change);
+  normalizePayment(doc, change, ctx);
+  await linkAccount(doc, change, ctx);
+
+  ['startDate', 'endDate', 'reminderSmsSentAt'].forEach(field => {
+    const value = toDate(doc[field]);
+    if (value === undefined) change.problem(`${field} is not a date: ${doc[field]}`);
+    else if (value !== null) change.setIfChanged(field, doc[field], value);
+  });
+  if (doc.startDate && doc.endDate && toDate(doc.endDate) < toDate(doc.startDate)) {
+    change.problem('endDate is before startDate');
+  }
+
+  ['duration', 'travelers'].forEach(field => {
+    const value = toNumber(doc[field]);
+    if (value === undefined) change.problem(`${field} is not a number: ${doc[field]}`);
+    else if (value !== null) change.setIfChanged(field, doc[field], value);
+  });
+
+  if (typeof doc.packageType === 'string') {
+    change.setIfChanged('packageType', doc.packageType, doc.packageType.trim().toLowerCase());
+  }
+
+  // timestamps: true expects both; old documents only had createdAt (or nothing)
+  const createdAt = toDate(doc.createdAt) || doc._id.getTimestamp();
+  change.setIfChanged('createdAt', doc.createdAt, createdAt);
+  if (!doc.updatedAt) change.set.updatedAt = createdAt;
+
+  return change;
+}
+
+module.exports = {
+  version: 1,
+  collection: 'bookings',
+  description: 'Move bookings onto the canonical Booking model',
+  prepare,
+  migrate
+};
@@ -0,0 +1,68 @@
+const { toDate, toNumber, createChange } = require('./helpers');
+const { STATUSES } = require('../../models/CancellationRequest');
+
+// Requests raised before they were linked to bookings only carry the Razorpay payment ID,
+// and the oldest ones predate the status history.
+
+async function prepare(db) {
+  return { bookings: db.collection('bookings') };
+}
+
+async function migrate(doc, ctx) {
+  const change = createChange();
+
+  const paymentId = typeof doc.paymentId === 'string' ? doc.paymentId.trim() : doc.paymentId;
+  if (!paymentId) {
+    change.problem('paymentId is missing');
+  } else {
+    change.setIfChanged('paymentId', doc.paymentId, String(paymentId));
+
+    // Snake_case payment fields are still there on a dry run, before 001 has rewritten them
+    const filter = doc.booking
+      ? { _id: doc.booking }
+      : { $or: [{ 'payment.razorpayPaymentId': String(paymentId) }, { 'payment.razorpay_payment_id': String(paymentId) }] };
+    const booking = await ctx.bookings.findOne(filter, { projection: { bookingId: 1, destination: 1, travelerInfo: 1 } });
+
+    if (!booking) {
+      change.problem(`no booking found for payment ${paymentId}`);
+    } else {
+      change.setIfChanged('booking', doc.booking, booking._id);
+      if (!doc.bookingId && booking.bookingId) change.set.bookingId = booking.bookingId;
+      if (!doc.destination && booking.destination) change.set.destination = booking.destination;
+      if (!doc.contactNumber && booking.travelerInfo?.phone) change.set.contactNumber = booking.travelerInfo.phone;
+    }
+  }
+
+  const status = typeof doc.status === 'string' ? doc.status.trim().toLowerCase() : 'pending';
+  if (!STATUSES.includes(status)) change.problem(`status "${doc.status}" is not recognised`);
+  else change.setIfChanged('status', doc.status, status);
+
+  const reason = typeof doc.reason === 'string' && doc.reason.trim() ? doc.reason : 'Not specified';
+  change.setIfChanged('reason', doc.reason, reason);
+
+  const refundAmount = toNumber(doc.refundAmount);
+  if (refundAmount === undefined) change.problem(`refundAmount is not a number: ${doc.refundAmount}`);
+  else if (refundAmount !== null) change.setIfChanged('refundAmount', doc.refundAmount, refundAmount);
+
+  const createdAt = toDate(doc.createdAt) || doc._id.getTimestamp();
+  change.setIfChanged('createdAt', doc.createdAt, createdAt);
+
+  // Seed the history with the state the request is in, so the timeline isn't empty
+  if (!Array.isArray(doc.history) || doc.history.length === 0) {
+    const history = [{ status: 'pending', note: reason, at: createdAt }];
+    if (STATUSES.includes(status) && status !== 'pending') {
+      history.push({ status, ...(doc.adminNote && { note: doc.adminNote }), at: toDate(doc[`${status}At`]) || createdAt });
+    }
+    change.set.history = history;
+  }
+
+  return change;
+}
+
+module.exports = {
+  version: 1,
+  collection: 'cancellationrequests',
+  description: 'Link cancellation requests to bookings and fill in the canonical fields',
+  prepare,
+  migrate
+};
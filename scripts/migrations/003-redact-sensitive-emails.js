@@ -0,0 +1,24 @@
+const { createChange } = require('./helpers');
+const { SENSITIVE_TEMPLATES, REDACTED_HTML } = require('../../models/EmailOutbox');
+
+// Outbox rows written before one-time codes and reset links were redacted still hold them in
+// plain text. Delivered or failed ones are blanked; the rest expire a day from now.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function migrate(doc) {
+  const change = createChange();
+  if (!SENSITIVE_TEMPLATES.includes(doc.template)) return change;
+
+  change.setIfChanged('sensitive', doc.sensitive, true);
+  if (doc.status === 'sent' || doc.status === 'failed') change.setIfChanged('html', doc.html, REDACTED_HTML);
+  if (!doc.deleteAt) change.set.deleteAt = new Date(Date.now() + DAY_MS);
+  return change;
+}
+
+module.exports = {
+  version: 1,
+  collection: 'emailoutboxes',
+  description: 'Redact one-time codes and reset links kept in the email outbox',
+  migrate
+};
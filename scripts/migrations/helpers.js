@@ -0,0 +1,45 @@
+// Coercions shared by the migrations. Each returns undefined when the value can't be converted,
+// so callers can tell "missing" (null) apart from "unconvertible".
+
+function toDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : Number(String(value).replace(/[,₹\s]/g, ''));
+  return Number.isFinite(number) ? number : undefined;
+}
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'on'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'off', ''];
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'number') return value !== 0;
+  if (typeof value === 'object') return undefined;
+  const text = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return undefined;
+}
+
+const sameValue = (a, b) => {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+// Collects $set/$unset paths for one document plus the reasons it can't be converted
+function createChange() {
+  const change = { set: {}, unset: [], problems: [] };
+  change.setIfChanged = (path, current, next) => {
+    if (!sameValue(current, next)) change.set[path] = next;
+  };
+  change.problem = (message) => change.problems.push(message);
+  return change;
+}
+
+module.exports = { toDate, toNumber, toBoolean, createChange };
@@ -0,0 +1,72 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { signWebhookPayload } = require('../utils/razorpay');
+
+// Usage: node scripts/sendWebhookFixture.js <event> [--payment pay_x] [--order order_x] [--event-id evt_x] [--url http://...] [--dry-run]
+// Signs a sample payload from scripts/fixtures/razorpay with RAZORPAY_WEBHOOK_SECRET and posts it
+// to the local webhook endpoint, so payment/refund syncing can be exercised without Razorpay.
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'razorpay');
+
+function parseArgs(argv) {
+  const args = { event: argv[0] };
+  for (let i = 1; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--dry-run') args.dryRun = true;
+    else if (flag.startsWith('--')) args[flag.slice(2)] = argv[++i];
+  }
+  return args;
+}
+
+async function sendFixture() {
+  const args = parseArgs(process.argv.slice(2));
+  const available = fs.readdirSync(FIXTURES_DIR).map(f => path.basename(f, '.json'));
+
+  if (!args.event || !available.includes(args.event)) {
+    console.error(`Usage: node scripts/sendWebhookFixture.js <${available.join('|')}> [options]`);
+    process.exit(1);
+  }
+
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('Missing RAZORPAY_WEBHOOK_SECRET in environment.');
+    process.exit(1);
+  }
+
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${args.event}.json`), 'utf8'));
+  const { payment, refund } = fixture.payload;
+
+  // Point the sample at a real local booking
+  if (args.payment) {
+    if (payment) payment.entity.id = args.payment;
+    if (refund) refund.entity.payment_id = args.payment;
+  }
+  if (args.order && payment) payment.entity.order_id = args.order;
+
+  const body = JSON.stringify(fixture);
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Razorpay-Signature': signWebhookPayload(body, secret),
+    'X-Razorpay-Event-Id': args['event-id'] || `evt_${crypto.randomBytes(8).toString('hex')}`
+  };
+
+  const url = args.url || `http://localhost:${process.env.PORT || 5000}/api/webhooks/razorpay`;
+
+  if (args.dryRun) {
+    console.log(JSON.stringify({ url, headers, body: fixture }, null, 2));
+    return;
+  }
+
+  try {
+    const { status, data } = await axios.post(url, body, { headers });
+    console.log(status, JSON.stringify(data));
+  } catch (err) {
+    console.error('Error sending webhook:', err?.response?.data || err.message || err);
+    process.exit(1);
+  }
+}
+
+sendFixture();
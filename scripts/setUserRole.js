@@ -0,0 +1,31 @@
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+
+// Usage: node scripts/setUserRole.js <email> <user|admin>
+async function setUserRole() {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !['user', 'admin'].includes(role)) {
+    console.error('Usage: node scripts/setUserRole.js <email> <user|admin>');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI);
+    const result = await mongoose.connection.collection('users').updateOne({ email }, { $set: { role } });
+
+    if (!result.matchedCount) {
+      console.error(`No user found with email ${email}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`${email} is now ${role}. They need to log in again for the change to apply.`);
+    }
+  } catch (err) {
+    console.error('Error updating role:', err.message || err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+setUserRole();
@@ -3,18 +3,66 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const axios = require('axios');
 const twilio = require('twilio');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const nodemailer = require('nodemailer');
+const crypto = require('crypto');
+const razorpay = require('./utils/razorpay');
+const { computeBookingAmount } = require('./utils/pricing');
+const { quoteRefund, RefundPolicyError } = require('./utils/refundPolicy');
+const { paginate, dateRange, escapeRegex } = require('./utils/pagination');
+const escapeHtml = require('./utils/escapeHtml');
+const { isValidLngLat } = require('./utils/geo');
+const { authenticate, optionalAuth, requireAdmin, isOwnerOrAdmin, forbidden } = require('./middleware/auth');
+const { rateLimit, honeypot, proofOfWork, powChallenge } = require('./middleware/rateLimit');
+const { validate } = require('./middleware/validate');
+const { notFound, errorHandler } = require('./middleware/errors');
+const { sendError } = require('./utils/httpErrors');
+const schemas = require('./schemas');
+
+if (!process.env.JWT_SECRET) {
+  console.error('❌ JWT_SECRET is not set. Refusing to start without a token signing secret.');
+  process.exit(1);
+}
+const Booking = require('./models/Booking');
+const CancellationRequest = require('./models/CancellationRequest');
+const WebhookEvent = require('./models/WebhookEvent');
+const Conversation = require('./models/Conversation');
+const { buildContents } = require('./utils/chatHistory');
+const { writeSse, openSse } = require('./utils/sse');
+const { getProvider } = require('./utils/llm');
+const notifications = require('./utils/notifications');
+const EmailOutbox = require('./models/EmailOutbox');
+const { bookingSegments } = require('./utils/itinerary');
+const { buildBookingCalendar } = require('./utils/ics');
+const { buildETicket } = require('./utils/eticket');
+const { validateTwilioRequest } = require('./middleware/twilio');
+const CallbackRequest = require('./models/CallbackRequest');
+const CallLog = require('./models/CallLog');
+const DoNotCall = require('./models/DoNotCall');
+const { timezoneForNumber, isQuietHours } = require('./utils/callPolicy');
+const Session = require('./models/Session');
+const sessions = require('./utils/sessions');
+const otpService = require('./utils/otp');
+const Destination = require('./models/Destination');
+const Package = require('./models/Package');
+const catalog = require('./utils/catalog');
+const inventory = require('./utils/inventory');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
+// Behind a load balancer set TRUST_PROXY (e.g. 1) so req.ip is the client address used for per-IP limits
+if (process.env.TRUST_PROXY) {
+  const setting = process.env.TRUST_PROXY;
+  app.set('trust proxy', setting === 'true' ? true : Number.isNaN(Number(setting)) ? setting : Number(setting));
+}
 app.use(cors());
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+  // Keep the raw payload around for webhook signature checks
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI)
@@ -22,28 +70,14 @@ mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI)
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // === Twilio Setup ===
-const twilioSID = process.env.TWILIO_ACCOUNT_SID;
-const twilioAuth = process.env.TWILIO_AUTH_TOKEN;
+// TWILIO_FAKE=true swaps in a client that records messages and calls instead of sending them
 const twilioPhone = process.env.TWILIO_PHONE_NUMBER;
-const client = twilio(twilioSID, twilioAuth);
+const { client, sendSms } = require('./utils/sms');
+const { toE164 } = require('./utils/phone');
 
-// === Enhanced Nodemailer Setup ===
-const transporter = nodemailer.createTransport({
-  service: 'Gmail',
-  auth: {
-    user: process.env.GMAIL_USER,
-    pass: process.env.GMAIL_PASS
-  }
-});
-
-// Verify email configuration on startup
-transporter.verify((error) => {
-  if (error) {
-    console.error('❌ Mail server configuration error:', error);
-  } else {
-    console.log('✅ Mail server is ready to send messages');
-  }
-});
+// === Email ===
+// Emails go through the outbox in utils/notifications (templates in templates/email, transport set by EMAIL_TRANSPORT)
+const mailFrom = (name) => `"${name}" <${process.env.GMAIL_USER}>`;
 
 // === Schemas ===
 const userSchema = new mongoose.Schema({
@@ -51,8 +85,11 @@ const userSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
   verified: { type: Boolean, default: false },
-  otp: String,
-  otpExpires: Date,
+  role: { type: String, enum: ['user', 'admin'], default: 'user' },
+  // E.164, set once the number has been verified by SMS
+  phone: { type: String, unique: true, sparse: true },
+  phoneVerified: { type: Boolean, default: false },
+  pendingPhone: String,
   resetPasswordToken: String,
   resetPasswordExpire: Date
 });
@@ -71,144 +108,212 @@ const contactSchema = new mongoose.Schema({
     },
     coordinates: {
       type: [Number],
-      required: true
+      required: true,
+      validate: {
+        validator: isValidLngLat,
+        message: 'Coordinates must be [longitude, latitude] within valid ranges'
+      }
     }
   },
   ipAddress: { type: String },
+  // Support ticket fields
+  status: { type: String, enum: ['open', 'in-progress', 'resolved'], default: 'open' },
+  assignee: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  replies: [{
+    author: { type: String, enum: ['agent', 'customer'], required: true },
+    authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    authorName: String,
+    message: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  slaDueAt: Date,
+  firstResponseAt: Date,
+  resolvedAt: Date,
   createdAt: { type: Date, default: Date.now }
 });
 
-const cancellationRequestSchema = new mongoose.Schema({
-  paymentId: String,
-  destination: String,
-  contactNumber: String,
-  reason: { type: String, default: "Not specified" },
-  status: { type: String, default: "pending", enum: ["pending", "completed", "rejected"] },
-  createdAt: { type: Date, default: Date.now }
-});
+// Indexes must be declared before the model is compiled
+contactSchema.index({ location: '2dsphere' });
 
-const bookingSchema = new mongoose.Schema({
-  travelerInfo: {
-    name: { type: String, required: true },
-    email: { type: String, required: true },
-    phone: { type: String, required: true },
-    travelerNames: { type: [String], default: [] } // New field for traveler names
-  },
-  addons: Object,
-  flightData: Object,
-  hotelData: Object,
-  carData: Object,
-  trainData: Object,
-  busData: Object,
-  payment: Object,
-  bookingId: String,
-  userId: String,
-  createdAt: { type: Date, default: Date.now }
-});
+const componentRating = { type: Number, min: 1, max: 5 };
 
 const feedbackSchema = new mongoose.Schema({
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+  bookingId: String,
+  userId: String,
+  // Snapshot of the trip so analytics don't need to join bookings
+  destination: String,
+  addons: [String],
   rating: Number,
+  // "How likely are you to recommend us?" on a 0-10 scale, used for NPS
+  recommendScore: { type: Number, min: 0, max: 10 },
+  componentRatings: {
+    hotel: componentRating,
+    transport: componentRating,
+    guide: componentRating
+  },
   improvement: String,
   createdAt: { type: Date, default: Date.now }
 });
 
+// One feedback per booking; older anonymous feedback has no booking
+feedbackSchema.index({ booking: 1 }, { unique: true, partialFilterExpression: { booking: { $exists: true } } });
+
 const User = mongoose.model('User', userSchema);
 const Contact = mongoose.model('Contact', contactSchema);
-const CancellationRequest = mongoose.model('CancellationRequest', cancellationRequestSchema);
-const Booking = mongoose.model('Booking', bookingSchema);
 const Feedback = mongoose.model("Feedback", feedbackSchema);
 
-// Create 2dsphere index for geospatial queries
-contactSchema.index({ location: '2dsphere' });
+// === Abuse Protection ===
+// Rate-limit policies live in config/rateLimits. Forms that need proof-of-work fetch a challenge here
+// and send the solution in X-Pow-Challenge / X-Pow-Nonce; `required` is false while POW_DIFFICULTY is unset.
+app.get('/api/pow/challenge', (req, res) => {
+  const challenge = powChallenge();
+  res.json({ success: true, required: challenge.difficulty > 0, ...challenge });
+});
 
 // === Auth Routes ===
-app.post('/api/auth/signup', async (req, res) => {
+const OTP_FAILURE_MESSAGES = {
+  invalid: 'Invalid OTP',
+  expired: 'OTP expired. Please request a new one.',
+  locked: 'Too many incorrect attempts. Please request a new OTP later.',
+  cooldown: 'Please wait before requesting another OTP.'
+};
+
+// Respond to a failed issueOtp/verifyOtp result from utils/otp
+const otpFailure = (res, result) => {
+  if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+  const status = result.reason === 'locked' || result.reason === 'cooldown' ? 429 : 400;
+  return sendError(res, status, OTP_FAILURE_MESSAGES[result.reason], {
+    code: `otp_${result.reason}`,
+    extra: {
+      ...(result.retryAfter && { retryAfter: result.retryAfter }),
+      ...(result.attemptsLeft !== undefined && { attemptsLeft: result.attemptsLeft })
+    }
+  });
+};
+
+// Set a new password, retire both reset mechanisms and sign the user out everywhere
+async function applyNewPassword(user, password) {
+  user.password = await bcrypt.hash(password, 10);
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  await user.save();
+
+  await otpService.clearOtp({ purpose: 'password-reset', subject: user.email });
+  // Anyone holding an old refresh token has to sign in again with the new password
+  await sessions.revokeAllSessions(user._id, 'password_reset');
+}
+
+app.post('/api/auth/signup', honeypot, rateLimit('signup'), proofOfWork, validate(schemas.auth.signup), async (req, res) => {
   try {
     const { name, email, password } = req.body;
 
     const existingUser = await User.findOne({ email });
-    if (existingUser) return res.status(400).json({ success: false, message: 'Email already in use' });
+    if (existingUser) return sendError(res, 400, 'Email already in use');
 
     const hashedPassword = await bcrypt.hash(password, 10);
-    const otp = Math.floor(100000 + Math.random() * 900000).toString(); // 6 digit OTP
 
     const user = new User({ 
       name, 
       email, 
-      password: hashedPassword,
-      otp,
-      otpExpires: Date.now() + 10 * 60 * 1000 // 10 min expiry
+      password: hashedPassword
     });
     await user.save();
 
-    // Send OTP email
-    await transporter.sendMail({
-      from: process.env.GMAIL_USER,
-      to: email,
-      subject: 'Your OTP Code',
-      html: `<h2>Welcome ${name}!</h2><p>Your OTP is <b>${otp}</b></p><p>It will expire in 10 minutes.</p>`
-    });
+    // Send OTP email (dropping any challenge left over from an earlier account with this email)
+    await otpService.clearOtp({ purpose: 'signup', subject: email });
+    const { code } = await otpService.issueOtp({ purpose: 'signup', subject: email, userId: user._id });
+    await notifications.queueEmail({ template: 'otp', to: email, userId: user._id, data: { name, otp: code } });
 
     res.status(201).json({ success: true, message: 'OTP sent to your email. Please verify.' });
   } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+    console.error('Signup error:', err);
+    sendError(res, 500, 'Server error');
   }
 });
 
-app.post('/api/auth/verify-otp', async (req, res) => {
+app.post('/api/auth/verify-otp', rateLimit('otp'), validate(schemas.auth.verifyOtp), async (req, res) => {
   try {
     const { email, otp } = req.body;
     const user = await User.findOne({ email });
     
-    if (!user) return res.status(400).json({ success: false, message: 'User not found' });
-    if (user.otp !== otp) return res.status(400).json({ success: false, message: 'Invalid OTP' });
-    if (user.otpExpires < Date.now()) return res.status(400).json({ success: false, message: 'OTP expired' });
+    if (!user) return sendError(res, 400, 'User not found');
+    if (user.verified) return sendError(res, 400, 'Account is already verified');
+
+    const result = await otpService.verifyOtp({ purpose: 'signup', subject: email, code: otp });
+    if (!result.ok) return otpFailure(res, result);
 
     user.verified = true;
-    user.otp = null;
-    user.otpExpires = null;
     await user.save();
 
     res.json({ success: true, message: 'Account verified! You can now log in.' });
   } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+    console.error('OTP verification error:', err);
+    sendError(res, 500, 'Server error');
+  }
+});
+
+app.post('/api/auth/resend-otp', rateLimit('otp'), validate(schemas.auth.resendOtp), async (req, res) => {
+  try {
+    const { email } = req.body;
+    const user = await User.findOne({ email });
+
+    if (!user) return sendError(res, 400, 'User not found');
+    if (user.verified) return sendError(res, 400, 'Account is already verified');
+
+    const result = await otpService.issueOtp({ purpose: 'signup', subject: email, userId: user._id });
+    if (!result.ok) return otpFailure(res, result);
+
+    await notifications.queueEmail({ template: 'otp', to: user.email, userId: user._id, data: { name: user.name, otp: result.code } });
+
+    res.json({ success: true, message: 'A new OTP has been sent to your email.' });
+  } catch (err) {
+    console.error('Resend OTP error:', err);
+    sendError(res, 500, 'Server error');
   }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', rateLimit('login'), validate(schemas.auth.login), async (req, res) => {
   try {
     const { email, password } = req.body;
 
     const user = await User.findOne({ email });
-    if (!user) return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    if (!user) return sendError(res, 401, 'Invalid credentials');
 
-    if (!user.verified) return res.status(401).json({ success: false, message: 'Please verify your email first.' });
+    if (!user.verified) return sendError(res, 401, 'Please verify your email first.');
 
     const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    if (!isMatch) return sendError(res, 401, 'Invalid credentials');
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET || 'your-secret-key', { expiresIn: '7d' });
+    const { token, refreshToken, expiresIn } = await sessions.createSession(user, req);
 
     res.json({ 
       success: true, 
       token, 
-      user: { name: user.name, email: user.email },
+      refreshToken,
+      expiresIn,
+      user: { id: user._id, name: user.name, email: user.email, role: user.role },
       message: 'Login successful' 
     });
   } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+    console.error('Login error:', err);
+    sendError(res, 500, 'Server error');
   }
 });
 
-app.post('/api/auth/forgot-password', async (req, res) => {
+app.post('/api/auth/forgot-password', rateLimit('forgotPassword'), validate(schemas.auth.forgotPassword), async (req, res) => {
   const { email } = req.body;
 
   try {
     const user = await User.findOne({ email });
 
-    if (!user) return res.status(400).json({ success: false, message: 'User not found with this email' });
+    if (!user) return sendError(res, 400, 'User not found with this email');
+
+    // The email carries both a link and a code for clients that reset in-app
+    const otp = await otpService.issueOtp({ purpose: 'password-reset', subject: email, userId: user._id, ttlMs: 15 * 60 * 1000 });
+    if (!otp.ok) return otpFailure(res, otp);
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET || 'secret', { expiresIn: '15m' });
+    const token = jwt.sign({ userId: user._id, purpose: 'password-reset' }, process.env.JWT_SECRET, { expiresIn: '15m' });
 
     user.resetPasswordToken = token;
     user.resetPasswordExpire = Date.now() + 15 * 60 * 1000; // 15 minutes
@@ -216,33 +321,33 @@ app.post('/api/auth/forgot-password', async (req, res) => {
 
   const resetLink = `http://localhost:3000/reset-password/${token}`;
 
-    await transporter.sendMail({
-      from: process.env.GMAIL_USER,
+    await notifications.queueEmail({
+      template: 'password-reset',
       to: user.email,
-      subject: 'Password Reset Request',
-      html: `
-        <p>Hello ${user.name},</p>
-        <p>You requested to reset your password.</p>
-        <p>Click the link below to reset it. This link expires in 15 minutes:</p>
-        <a href="${resetLink}" target="_blank">${resetLink}</a>
-        <p>If you did not request this, please ignore this email.</p>
-      `
+      userId: user._id,
+      data: { name: user.name, resetLink, otp: otp.code }
     });
 
     res.json({ success: true, message: 'Reset link sent to your email.' });
 
   } catch (err) {
     console.error(err);
-    res.status(500).json({ success: false, message: 'Server error' });
+    sendError(res, 500, 'Server error');
   }
 });
 
-app.post('/api/auth/reset-password/:token', async (req, res) => {
+app.post('/api/auth/reset-password/:token', validate(schemas.auth.resetPasswordWithToken), async (req, res) => {
   const { token } = req.params;
   const { password } = req.body;
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      return sendError(res, 400, 'Invalid or expired token');
+    }
+
     const user = await User.findOne({
       _id: decoded.userId,
       resetPasswordToken: token,
@@ -250,428 +355,2719 @@ app.post('/api/auth/reset-password/:token', async (req, res) => {
     });
 
     if (!user) {
-      return res.status(400).json({ success: false, message: 'Invalid or expired token' });
+      return sendError(res, 400, 'Invalid or expired token');
     }
 
-    const hashedPassword = await bcrypt.hash(password, 10);
-    user.password = hashedPassword;
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpire = undefined;
-    await user.save();
+    await applyNewPassword(user, password);
 
-    res.json({ success: true, message: 'Password reset successful' });
+    res.json({ success: true, message: 'Password reset successful. Please log in again on all devices.' });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ success: false, message: 'Server error' });
+    sendError(res, 500, 'Server error');
   }
 });
 
-// === Contact Form with Dual Email Notifications ===
-app.post('/api/contact', async (req, res) => {
+// Same as the link above, but with the emailed code
+app.post('/api/auth/reset-password', rateLimit('otp'), validate(schemas.auth.resetPasswordWithOtp), async (req, res) => {
+  const { email, otp, password } = req.body;
+
   try {
-    const { name, email, phone, subject, message, coordinates } = req.body;
-    
-    // Validation
-    if (!name || !email || !subject || !message || !coordinates) {
-      return res.status(400).json({ success: false, error: 'Missing required fields' });
-    }
+    const user = await User.findOne({ email });
+    if (!user) return sendError(res, 400, 'Invalid or expired OTP');
 
-    // Save to database
-    const newContact = new Contact({
-      name,
-      email,
-      phone,
-      subject,
-      message,
-      location: {
-        type: 'Point',
-        coordinates: coordinates
-      },
-      ipAddress: req.ip
-    });
+    const result = await otpService.verifyOtp({ purpose: 'password-reset', subject: email, code: otp });
+    if (!result.ok) return otpFailure(res, result);
 
-    await newContact.save();
+    await applyNewPassword(user, password);
 
-    // Email configurations
-    const emailPromises = [];
-    const mailResults = { admin: false, client: false };
+    res.json({ success: true, message: 'Password reset successful. Please log in again on all devices.' });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, 'Server error');
+  }
+});
 
-    // 1. Admin Notification Email
-    const adminMail = {
-      from: `"Contact Form" <${process.env.GMAIL_USER}>`,
-      to: process.env.ADMIN_EMAIL,
-      subject: `New Contact: ${subject}`,
-      html: `
-        <div style="font-family: Arial, sans-serif;">
-          <h2 style="color: #2c3e50;">New Contact Submission</h2>
-          <table style="width: 100%; border-collapse: collapse;">
-            <tr><td style="padding: 8px; border: 1px solid #ddd; width: 30%;"><strong>Name:</strong></td><td style="padding: 8px; border: 1px solid #ddd;">${name}</td></tr>
-            <tr><td style="padding: 8px; border: 1px solid #ddd;"><strong>Email:</strong></td><td style="padding: 8px; border: 1px solid #ddd;">${email}</td></tr>
-            <tr><td style="padding: 8px; border: 1px solid #ddd;"><strong>Phone:</strong></td><td style="padding: 8px; border: 1px solid #ddd;">${phone || 'Not provided'}</td></tr>
-            <tr><td style="padding: 8px; border: 1px solid #ddd;"><strong>Subject:</strong></td><td style="padding: 8px; border: 1px solid #ddd;">${subject}</td></tr>
-            <tr><td style="padding: 8px; border: 1px solid #ddd;"><strong>Message:</strong></td><td style="padding: 8px; border: 1px solid #ddd;">${message}</td></tr>
-            <tr><td style="padding: 8px; border: 1px solid #ddd;"><strong>Location:</strong></td><td style="padding: 8px; border: 1px solid #ddd;">${coordinates.join(', ')}</td></tr>
-            <tr><td style="padding: 8px; border: 1px solid #ddd;"><strong>IP Address:</strong></td><td style="padding: 8px; border: 1px solid #ddd;">${req.ip}</td></tr>
-          </table>
-        </div>
-      `
-    };
+// === Sessions ===
+// Login returns a short-lived access token plus a refresh token; each refresh rotates the refresh token
+app.post('/api/auth/refresh', validate(schemas.auth.refresh), async (req, res) => {
+  try {
+    const rotated = await sessions.rotateSession(req.body.refreshToken, req);
+    if (!rotated) return sendError(res, 401, 'Invalid or expired refresh token');
 
-    // 2. Client Confirmation Email
-    const clientMail = {
-      from: `"Tourism Support" <${process.env.GMAIL_USER}>`,
-      to: email,
-      subject: 'We Received Your Message!',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background: #f8f9fa; padding: 20px; text-align: center;">
-            <h1 style="color: #2c3e50; margin: 0;">Thank You, ${name}!</h1>
-          </div>
-          <div style="padding: 20px;">
-            <p>We've received your message and will respond within 24 hours.</p>
-            <div style="background: #f1f1f1; padding: 15px; margin: 20px 0; border-left: 4px solid #3498db;">
-              <p><strong>Your Message:</strong></p>
-              <p>${message}</p>
-            </div>
-            <p>For urgent inquiries, please call our support team at +1 (555) 123-4567.</p>
-            <p style="margin-top: 30px;">Best regards,<br>The Tourism Team</p>
-          </div>
-          <div style="background: #f8f9fa; padding: 10px; text-align: center; font-size: 12px; color: #7f8c8d;">
-            <p>This is an automated message. Please do not reply directly to this email.</p>
-          </div>
-        </div>
-      `
-    };
+    const user = await User.findById(rotated.session.userId);
+    if (!user) {
+      await sessions.revokeSession(rotated.session._id, rotated.session.userId, 'user_deleted');
+      return sendError(res, 401, 'Invalid or expired refresh token');
+    }
 
-    // Send both emails
-    emailPromises.push(
-      transporter.sendMail(adminMail)
-        .then(() => { mailResults.admin = true; })
-        .catch(err => console.error('Admin email error:', err))
-    );
+    res.json({ success: true, ...sessions.tokenPair(user, rotated.session, rotated.secret) });
+  } catch (err) {
+    console.error('Token refresh error:', err);
+    sendError(res, 500, 'Server error');
+  }
+});
 
-    emailPromises.push(
-      transporter.sendMail(clientMail)
-        .then(() => { mailResults.client = true; })
-        .catch(err => console.error('Client email error:', err))
-    );
+// Ends the session named by the refresh token, or the one behind the access token
+app.post('/api/auth/logout', optionalAuth, validate(schemas.auth.logout), async (req, res) => {
+  try {
+    const parsed = sessions.parseRefreshToken(req.body.refreshToken);
+    if (parsed) {
+      const session = await Session.findById(parsed.sessionId).select('userId');
+      if (session) await sessions.revokeSession(session._id, session.userId, 'logout');
+    } else if (req.user && req.user.sessionId) {
+      await sessions.revokeSession(req.user.sessionId, req.user.id, 'logout');
+    } else {
+      return sendError(res, 400, 'refreshToken is required');
+    }
 
-    await Promise.all(emailPromises);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    sendError(res, 500, 'Server error');
+  }
+});
 
-    res.status(201).json({
+app.get('/api/auth/sessions', authenticate, async (req, res) => {
+  try {
+    const active = await sessions.listActiveSessions(req.user.id);
+    res.json({
       success: true,
-      message: 'Contact form submitted successfully!',
-      emailsSent: mailResults
-    });
-
-  } catch (error) {
-    console.error('Contact form error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-      details: error.message
+      sessions: active.map(session => ({
+        id: session._id,
+        device: session.device,
+        ipAddress: session.ipAddress,
+        lastUsedAt: session.lastUsedAt,
+        createdAt: session.createdAt,
+        current: String(session._id) === req.user.sessionId
+      }))
     });
+  } catch (err) {
+    console.error('List sessions error:', err);
+    sendError(res, 500, 'Server error');
   }
 });
 
-// === Cancellation Requests ===
-app.post('/api/cancellation-requests', async (req, res) => {
+// Sign out every other device
+app.delete('/api/auth/sessions', authenticate, async (req, res) => {
   try {
-    const { paymentId, destination, contactNumber, reason } = req.body;
-    const newRequest = new CancellationRequest({ paymentId, destination, contactNumber, reason });
-    const savedRequest = await newRequest.save();
-    res.status(201).json(savedRequest);
+    const revoked = await sessions.revokeAllSessions(req.user.id, 'revoked_by_user', req.user.sessionId);
+    res.json({ success: true, revoked });
   } catch (err) {
-    res.status(500).json({ error: 'Server error' });
+    console.error('Revoke sessions error:', err);
+    sendError(res, 500, 'Server error');
   }
 });
 
-app.get('/api/cancellation-requests', async (req, res) => {
+app.delete('/api/auth/sessions/:id', authenticate, validate(schemas.auth.revokeSession), async (req, res) => {
   try {
-    const requests = await CancellationRequest.find().sort({ createdAt: -1 });
-    res.json(requests);
+    const revoked = await sessions.revokeSession(req.params.id, req.user.id, 'revoked_by_user');
+    if (!revoked) return sendError(res, 404, 'Session not found');
+    res.json({ success: true, message: 'Session revoked' });
   } catch (err) {
-    res.status(500).json({ error: 'Server error' });
+    console.error('Revoke session error:', err);
+    sendError(res, 500, 'Server error');
   }
 });
 
-// === Bookings ===
-app.post('/api/bookings', async (req, res) => {
+// === Phone Verification & OTP Login ===
+const PHONE_OTP_TTL_MS = 5 * 60 * 1000;
+
+const sendPhoneOtp = (phone, otp) =>
+  sendSms(phone, `${otp} is your verification code. It expires in 5 minutes. Do not share it with anyone.`);
+
+// Start verifying a phone number for the signed-in account
+app.post('/api/users/me/phone', authenticate, validate(schemas.auth.addPhone), async (req, res) => {
   try {
-    const { travelerInfo, addons, flightData, hotelData, carData, trainData, busData, payment, bookingId, userId } = req.body;
-    
-    const newBooking = new Booking({
-      travelerInfo,
-      addons,
-      flightData,
-      hotelData,
-      carData,
-      trainData,
-      busData,
-      payment,
-      bookingId,
-      userId
-    });
+    const phone = toE164(req.body.phone);
 
-    const savedBooking = await newBooking.save();
+    const taken = await User.findOne({ phone, _id: { $ne: req.user.id } });
+    if (taken) return sendError(res, 400, 'Phone number already in use');
 
-    // Send emails to both admin and user
-    const emailPromises = [];
-    const mailResults = { admin: false, user: false };
+    const user = await User.findById(req.user.id);
+    if (!user) return sendError(res, 404, 'User not found');
 
-    // Format traveler names for email
-    const travelerNamesHtml = travelerInfo.travelerNames && travelerInfo.travelerNames.length > 0
-      ? `<ul>${travelerInfo.travelerNames.map(name => `<li>${name}</li>`).join('')}</ul>`
-      : 'N/A';
+    const otp = await otpService.issueOtp({ purpose: 'phone-verify', subject: user._id, userId: user._id, ttlMs: PHONE_OTP_TTL_MS });
+    if (!otp.ok) return otpFailure(res, otp);
 
-    // 1. Admin Notification Email
-    const adminMail = {
-      from: `"Booking System" <${process.env.GMAIL_USER}>`,
-      to: process.env.ADMIN_EMAIL,
-      subject: `New Booking: ${bookingId}`,
-      html: `
-        <div style="font-family: Arial, sans-serif;">
-          <h2 style="color: #2c3e50;">New Booking Received</h2>
-          <table style="width: 100%; border-collapse: collapse;">
-            <tr><td style="padding: 8px; border: 1px solid #ddd; width: 30%;"><strong>Booking ID:</strong></td><td style="padding: 8px; border: 1px solid #ddd;">${bookingId}</td></tr>
-            <tr><td style="padding: 8px; border: 1px solid #ddd;"><strong>Traveler:</strong></td><td style="padding: 8px; border: 1px solid #ddd;">${travelerInfo.name}</td></tr>
-            <tr><td style="padding: 8px; border: 1px solid #ddd;"><strong>Email:</strong></td><td style="padding: 8px; border: 1px solid #ddd;">${travelerInfo.email}</td></tr>
-            <tr><td style="padding: 8px; border: 1px solid #ddd;"><strong>Phone:</strong></td><td style="padding: 8px; border: 1px solid #ddd;">${travelerInfo.phone}</td></tr>
-            <tr><td style="padding: 8px; border: 1px solid #ddd;"><strong>Amount Paid:</strong></td><td style="padding: 8px; border: 1px solid #ddd;">₹${payment.amount}</td></tr>
-            <tr><td style="padding: 8px; border: 1px solid #ddd;"><strong>Payment ID:</strong></td><td style="padding: 8px; border: 1px solid #ddd;">${payment.razorpayPaymentId}</td></tr>
-          </table>
-          <h3 style="color: #2c3e50; margin-top: 20px;">Booking Details</h3>
-          <p>Please check the admin dashboard for complete booking details.</p>
-        </div>
-      `
-    };
+    user.pendingPhone = phone;
+    await user.save();
 
-    // 2. User Confirmation Email
-    const userMail = {
-      from: `"Tourism Booking" <${process.env.GMAIL_USER}>`,
-      to: travelerInfo.email,
-      subject: `Your Booking Confirmation - ${bookingId}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background: #f8f9fa; padding: 20px; text-align: center;">
-            <h1 style="color: #2c3e50; margin: 0;">Booking Confirmed!</h1>
-          </div>
-          <div style="padding: 20px;">
-            <p>Dear ${travelerInfo.name},</p>
-            <p>Thank you for booking with us. Here are your booking details:</p>
-            
-            <div style="background: #f1f1f1; padding: 15px; margin: 20px 0; border-left: 4px solid #3498db;">
-              <p><strong>Booking ID:</strong> ${bookingId}</p>
-              <p><strong>Amount Paid:</strong> ₹${payment.amount}</p>
-              <p><strong>Payment Status:</strong> ${payment.status}</p>
-            </div>
-            
-            <p>You can view your booking details anytime by logging into your account.</p>
-            <p>If you have any questions, please contact our support team.</p>
-            
-            <p style="margin-top: 30px;">Best regards,<br>The Tourism Team</p>
-          </div>
-          <div style="background: 'f8f9fa'; padding: 10px; text-align: center; font-size: 12px; color: '#7f8c8d';">
-            <p>This is an automated message. Please do not reply directly to this email.</p>
-          </div>
-        </div>
-      `
-    };
+    if (!await sendPhoneOtp(phone, otp.code)) {
+      return sendError(res, 502, 'Could not send SMS, please try again');
+    }
+    res.json({ success: true, message: 'OTP sent by SMS.' });
+  } catch (err) {
+    console.error('Phone verification error:', err);
+    sendError(res, 500, 'Server error');
+  }
+});
 
-    // Send both emails
-    emailPromises.push(
-      transporter.sendMail(adminMail)
-        .then(() => { mailResults.admin = true; })
-        .catch(err => console.error('Admin email error:', err))
-    );
+app.post('/api/users/me/phone/verify', authenticate, validate(schemas.auth.verifyPhone), async (req, res) => {
+  try {
+    const { otp } = req.body;
+    const user = await User.findById(req.user.id);
 
-    emailPromises.push(
-      transporter.sendMail(userMail)
-        .then(() => { mailResults.user = true; })
-        .catch(err => console.error('User email error:', err))
-    );
+    if (!user || !user.pendingPhone) return sendError(res, 400, 'No phone verification in progress');
 
-    await Promise.all(emailPromises);
+    const result = await otpService.verifyOtp({ purpose: 'phone-verify', subject: user._id, code: otp });
+    if (!result.ok) return otpFailure(res, result);
 
-    res.json({
-      success: true,
-      booking: savedBooking,
-      emailsSent: mailResults
-    });
+    user.phone = user.pendingPhone;
+    user.phoneVerified = true;
+    user.pendingPhone = undefined;
+    await user.save();
 
-  } catch (error) {
-    console.error('Error saving booking:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to save booking',
-      details: error.message
-    });
+    res.json({ success: true, message: 'Phone number verified.', phone: user.phone });
+  } catch (err) {
+    if (err.code === 11000) return sendError(res, 400, 'Phone number already in use');
+    console.error('Phone verification error:', err);
+    sendError(res, 500, 'Server error');
   }
 });
 
-app.get('/api/bookings/:userId', async (req, res) => {
+app.post('/api/auth/phone/send-otp', rateLimit('otp'), validate(schemas.auth.sendPhoneOtp), async (req, res) => {
   try {
-    const { userId } = req.params;
-    const bookings = await Booking.find({ userId });
-    res.json(bookings);
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch bookings' });
+    const phone = toE164(req.body.phone);
+
+    const user = await User.findOne({ phone, phoneVerified: true });
+    // Same answer whether or not the number is registered (or cooling down), so numbers can't be probed
+    if (user) {
+      const otp = await otpService.issueOtp({ purpose: 'phone-login', subject: phone, userId: user._id, ttlMs: PHONE_OTP_TTL_MS });
+      if (otp.ok) await sendPhoneOtp(phone, otp.code);
+    }
+
+    res.json({ success: true, message: 'If this number is registered, an OTP has been sent by SMS.' });
+  } catch (err) {
+    console.error('Phone OTP error:', err);
+    sendError(res, 500, 'Server error');
   }
 });
 
-// === Refund ===
-app.post('/api/refund', async (req, res) => {
+app.post('/api/auth/phone/login', rateLimit('otp'), validate(schemas.auth.phoneLogin), async (req, res) => {
   try {
-    const { payment_id, amount, reason } = req.body;
+    const phone = toE164(req.body.phone);
+    const { otp } = req.body;
 
-    const refundResponse = await axios.post(
-      `https://api.razorpay.com/v1/payments/${payment_id}/refund`,
-      {
-        amount: Math.round(amount * 100),
-        speed: "normal",
-        notes: { reason: reason || "Customer requested refund" }
-      },
-      {
-        auth: {
-          username: process.env.RAZORPAY_KEY_ID,
-          password: process.env.RAZORPAY_KEY_SECRET
-        }
-      }
-    );
+    const result = await otpService.verifyOtp({ purpose: 'phone-login', subject: phone, code: otp });
+    if (result.reason === 'locked') return otpFailure(res, result);
 
-    await Booking.findOneAndUpdate(
-      { "payment.razorpayPaymentId": payment_id },
-      {
-        "payment.status": 'cancelled',
-        cancellationDetails: {
-          date: new Date(),
-          reason,
-          refundAmount: amount,
-          refundId: refundResponse.data.id,
-          refundStatus: refundResponse.data.status
-        }
-      }
-    );
+    const user = result.ok && await User.findOne({ _id: result.userId, phone, phoneVerified: true });
+    if (!user) {
+      return sendError(res, 401, 'Invalid or expired OTP');
+    }
+
+    const { token, refreshToken, expiresIn } = await sessions.createSession(user, req);
 
     res.json({
       success: true,
-      refund_id: refundResponse.data.id,
-      amount,
-      status: refundResponse.data.status
+      token,
+      refreshToken,
+      expiresIn,
+      user: { id: user._id, name: user.name, email: user.email, role: user.role, phone: user.phone },
+      message: 'Login successful'
     });
+  } catch (err) {
+    console.error('Phone login error:', err);
+    sendError(res, 500, 'Server error');
+  }
+});
 
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.response?.data?.error?.description || 'Refund processing failed'
+// === Contact Form with Dual Email Notifications ===
+// Each contact submission doubles as a support ticket; the client email promises a reply within 24 hours
+const TICKET_SLA_MS = 24 * 60 * 60 * 1000;
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Signed link that lets the customer view and reply to their ticket without an account
+const ticketToken = (contact) =>
+  jwt.sign({ ticketId: contact._id, purpose: 'ticket' }, process.env.JWT_SECRET, { expiresIn: '90d' });
+
+const ticketUrl = (contact) => `${CLIENT_URL}/tickets/${contact._id}?token=${ticketToken(contact)}`;
+
+app.post('/api/contact', honeypot, rateLimit('contact'), proofOfWork, validate(schemas.support.contact), async (req, res) => {
+  try {
+    // coordinates arrive as a numeric [longitude, latitude] pair (schemas/support)
+    const { name, email, phone, subject, message, coordinates: position } = req.body;
+
+    // Save to database
+    const newContact = new Contact({
+      name,
+      email,
+      phone,
+      subject,
+      message,
+      location: {
+        type: 'Point',
+        coordinates: position
+      },
+      ipAddress: req.ip,
+      slaDueAt: Date.now() + TICKET_SLA_MS
+    });
+
+    await newContact.save();
+    const ticketLink = ticketUrl(newContact);
+
+    // Queue admin notification and client confirmation
+    const contactData = {
+      name,
+      email,
+      phone: phone || 'Not provided',
+      subject,
+      message,
+      location: position.join(', '),
+      ipAddress: req.ip,
+      ticketLink
+    };
+
+    const [adminMail, clientMail] = await Promise.all([
+      notifications.queueEmail({
+        template: 'contact-admin',
+        from: mailFrom('Contact Form'),
+        to: process.env.ADMIN_EMAIL,
+        contactId: newContact._id,
+        data: contactData
+      }).catch(err => console.error('Admin email error:', err)),
+      notifications.queueEmail({
+        template: 'contact-confirmation',
+        from: mailFrom('Tourism Support'),
+        to: email,
+        contactId: newContact._id,
+        data: contactData
+      }).catch(err => console.error('Client email error:', err))
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Contact form submitted successfully!',
+      ticketId: newContact._id,
+      emailsQueued: { admin: !!adminMail, client: !!clientMail }
     });
+
+  } catch (error) {
+    console.error('Contact form error:', error);
+    sendError(res, 500, 'Failed to submit contact form');
   }
 });
 
-// === Twilio Call ===
-app.post('/api/call-user', async (req, res) => {
-  const { phoneNumber, placeName } = req.body;
+// === Support Tickets ===
+const publicTicket = (contact) => ({
+  id: contact._id,
+  subject: contact.subject,
+  message: contact.message,
+  status: contact.status,
+  createdAt: contact.createdAt,
+  resolvedAt: contact.resolvedAt,
+  replies: contact.replies.map(({ author, authorName, message, createdAt }) => ({ author, authorName, message, createdAt }))
+});
 
+// Load the ticket named in the URL if the signed ?token= matches it
+async function findTicketByToken(req) {
   try {
-    const twimlUrl = `https://${req.headers.host}/twiml/${encodeURIComponent(placeName)}`;
-    await client.calls.create({
-      url: twimlUrl,
-      to: phoneNumber,
-      from: twilioPhone,
-    });
-    res.json({ success: true });
+    const decoded = jwt.verify(req.query.token || '', process.env.JWT_SECRET);
+    if (decoded.purpose !== 'ticket' || decoded.ticketId !== req.params.id) return null;
   } catch (err) {
-    console.error('Error making call:', err);
-    res.status(500).json({ error: 'Call failed' });
+    return null;
   }
+  return Contact.findById(req.params.id);
+}
+
+// Mark tickets that are still waiting for a first agent reply past their SLA
+const overdueTicketFilter = () => ({
+  status: { $ne: 'resolved' },
+  firstResponseAt: null,
+  slaDueAt: { $lt: new Date() }
 });
 
-app.get('/twiml/:placeName', (req, res) => {
-  const place = decodeURIComponent(req.params.placeName);
-  const twimlResponse = `
-    <Response>
-      <Say voice="alice">
-        Hello! Thank you for your interest in ${place}.
-        It is one of the most beautiful destinations with amazing attractions and facilities.
-        Visit our website to book now!
-      </Say>
-    </Response>
-  `;
-  res.type('text/xml');
-  res.send(twimlResponse);
+app.get('/api/tickets/:id', validate(schemas.support.customerTicket), async (req, res) => {
+  try {
+    const ticket = await findTicketByToken(req);
+    if (!ticket) return sendError(res, 404, 'Ticket not found');
+    res.json({ success: true, ticket: publicTicket(ticket) });
+  } catch (err) {
+    sendError(res, 500, 'Failed to fetch ticket');
+  }
 });
 
-// === Feedback Routes ===
-app.post("/api/feedback", async (req, res) => {
+app.post('/api/tickets/:id/replies', validate(schemas.support.customerReply), async (req, res) => {
   try {
-    const { rating, improvement } = req.body;
-    const newFeedback = new Feedback({ rating, improvement });
-    await newFeedback.save();
-    res.status(201).json({ message: "Feedback saved successfully!" });
+    const { message } = req.body;
+
+    const ticket = await findTicketByToken(req);
+    if (!ticket) return sendError(res, 404, 'Ticket not found');
+
+    ticket.replies.push({ author: 'customer', authorName: ticket.name, message });
+    // A customer follow-up on a resolved ticket reopens it
+    if (ticket.status === 'resolved') {
+      ticket.status = 'open';
+      ticket.resolvedAt = undefined;
+    }
+    await ticket.save();
+
+    await notifications.queueEmail({
+      template: 'ticket-customer-reply',
+      from: mailFrom('Contact Form'),
+      to: process.env.ADMIN_EMAIL,
+      contactId: ticket._id,
+      data: { name: ticket.name, subject: ticket.subject, ticketId: ticket._id, message }
+    }).catch(err => console.error('Ticket reply email error:', err));
+
+    res.status(201).json({ success: true, ticket: publicTicket(ticket) });
   } catch (err) {
-    res.status(500).json({ error: "Error saving feedback" });
+    sendError(res, 500, 'Failed to save reply');
   }
 });
 
-// === Chatbot Routes ===
-app.post('/api/chatbot', async (req, res) => {
+app.get('/api/admin/tickets', authenticate, requireAdmin, validate(schemas.support.listTickets), async (req, res) => {
   try {
-    const { question } = req.body;
-    
-    if (!question || question.trim() === '') {
-      return res.status(400).json({ error: 'Question is required' });
-    }
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.assignee) filter.assignee = req.query.assignee === 'none' ? null : req.query.assignee;
 
-    // Enhanced prompt for tourist assistant
-    const prompt = `You are a helpful and knowledgeable tourist assistant for India and international travel. 
-    Answer the following question about travel, tourism, places, packages, or any travel-related topic.
-    Provide detailed, helpful information with practical tips.
-    
-    User Question: ${question}
-    
-    Please provide a comprehensive answer with:
-    - Specific recommendations
-    - Practical tips
-    - Best time to visit (if applicable)
-    - Budget considerations (if applicable)
-    - Local insights`;
+    const { items, nextCursor } = await paginate(Contact, filter, {
+      cursor: req.query.cursor,
+      limit: req.query.limit
+    });
 
-    // Call Google Gemini API (use a valid model from listModels)
-    const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
-    const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1/models/${GEMINI_MODEL}:generateContent?key=${process.env.GEMINI_API_KEY}`,
-      {
-        contents: [{
-          parts: [{
-            text: prompt
-          }]
-        }]
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-        }
+    res.json({ success: true, tickets: items, nextCursor });
+  } catch (err) {
+    sendError(res, 500, 'Failed to fetch tickets');
+  }
+});
+
+app.get('/api/admin/tickets/overdue', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const tickets = await Contact.find(overdueTicketFilter()).sort({ slaDueAt: 1 }).populate('assignee', 'name email');
+    res.json({ success: true, count: tickets.length, tickets });
+  } catch (err) {
+    sendError(res, 500, 'Failed to fetch overdue tickets');
+  }
+});
+
+app.get('/api/admin/tickets/:id', authenticate, requireAdmin, validate(schemas.support.ticket), async (req, res) => {
+  try {
+    const ticket = await Contact.findById(req.params.id).populate('assignee', 'name email');
+    if (!ticket) return sendError(res, 404, 'Ticket not found');
+    res.json({ success: true, ticket });
+  } catch (err) {
+    sendError(res, 500, 'Failed to fetch ticket');
+  }
+});
+
+app.patch('/api/admin/tickets/:id', authenticate, requireAdmin, validate(schemas.support.updateTicket), async (req, res) => {
+  try {
+    const { status, assignee } = req.body;
+    const ticket = await Contact.findById(req.params.id);
+    if (!ticket) return sendError(res, 404, 'Ticket not found');
+
+    if (assignee !== undefined) {
+      if (assignee) {
+        const agent = await User.findOne({ _id: assignee, role: 'admin' });
+        if (!agent) return sendError(res, 400, 'Assignee must be an admin user');
       }
-    );
+      ticket.assignee = assignee || undefined;
+    }
 
-    const answer = response.data.candidates?.[0]?.content?.parts?.[0]?.text || 'Sorry, I could not generate an answer at the moment.';
-    
-    res.json({ 
-      success: true, 
-      answer: answer,
-      timestamp: new Date().toISOString()
-    });
+    if (status !== undefined) {
+      ticket.status = status;
+      ticket.resolvedAt = status === 'resolved' ? new Date() : undefined;
+    }
 
-  } catch (error) {
-    console.error('Chatbot API Error:', error.response?.data || error.message);
-    res.status(500).json({ 
-      error: 'Failed to get response from AI assistant',
-      details: error.response?.data?.error?.message || error.message
-    });
+    await ticket.save();
+    res.json({ success: true, ticket });
+  } catch (err) {
+    sendError(res, 500, 'Failed to update ticket');
   }
 });
 
-// === Start Server ===
-app.listen(PORT, () => {
-  console.log(`🚀 Server running at http://localhost:${PORT}`);
-});
\ No newline at end of file
+app.post('/api/admin/tickets/:id/replies', authenticate, requireAdmin, validate(schemas.support.agentReply), async (req, res) => {
+  try {
+    const { message, resolve } = req.body;
+
+    const ticket = await Contact.findById(req.params.id);
+    if (!ticket) return sendError(res, 404, 'Ticket not found');
+
+    const agent = await User.findById(req.user.id);
+    ticket.replies.push({ author: 'agent', authorId: req.user.id, authorName: agent?.name, message });
+    if (!ticket.firstResponseAt) ticket.firstResponseAt = new Date();
+    if (!ticket.assignee) ticket.assignee = req.user.id;
+    if (resolve) {
+      ticket.status = 'resolved';
+      ticket.resolvedAt = new Date();
+    } else if (ticket.status !== 'in-progress') {
+      ticket.status = 'in-progress';
+      ticket.resolvedAt = undefined;
+    }
+    await ticket.save();
+
+    const queued = await notifications.queueEmail({
+      template: 'ticket-agent-reply',
+      from: mailFrom('Tourism Support'),
+      to: ticket.email,
+      contactId: ticket._id,
+      data: {
+        name: ticket.name,
+        subject: ticket.subject,
+        message,
+        ticketLink: ticketUrl(ticket),
+        agentName: agent?.name || 'The Tourism Team'
+      }
+    }).catch(err => console.error('Ticket reply email error:', err));
+
+    res.status(201).json({ success: true, ticket, emailQueued: !!queued });
+  } catch (err) {
+    sendError(res, 500, 'Failed to send reply');
+  }
+});
+
+// === Cancellation Requests ===
+const cancellationMessages = {
+  pending: 'We have received your cancellation request and our team will review it shortly.',
+  approved: 'Your cancellation request has been approved. Your refund is being processed.',
+  refunded: 'Your refund has been initiated and should reach your account in 5-7 working days.',
+  rejected: 'Unfortunately your cancellation request could not be approved.',
+  completed: 'Your booking has already been cancelled, so this request has been closed.'
+};
+
+// Move a request to a new status, stamping the transition time and history
+function transitionCancellation(request, status, note) {
+  request.status = status;
+  if (status === 'approved') request.approvedAt = new Date();
+  if (status === 'refunded') request.refundedAt = new Date();
+  if (status === 'rejected') request.rejectedAt = new Date();
+  request.history.push({ status, note });
+}
+
+// Email and SMS the customer about their cancellation request; failures are logged, never thrown
+async function notifyCancellationUpdate(request, booking) {
+  const name = booking?.travelerInfo?.name || 'Traveler';
+  const email = booking?.travelerInfo?.email;
+  const phone = request.contactNumber || booking?.travelerInfo?.phone;
+  const bookingRef = request.bookingId || request.paymentId;
+
+  let text = cancellationMessages[request.status];
+  if (request.status === 'refunded' && request.refundAmount !== undefined) {
+    text += ` Refund amount: ₹${request.refundAmount}.`;
+  }
+  if (request.status === 'rejected' && request.adminNote) {
+    text += ` Reason: ${request.adminNote}.`;
+  }
+
+  const deliveries = [];
+
+  if (email) {
+    deliveries.push(
+      notifications.queueEmail({
+        template: 'cancellation-update',
+        from: mailFrom('Tourism Booking'),
+        to: email,
+        bookingId: booking?.bookingId,
+        userId: booking?.userId,
+        data: { name, text, bookingRef, status: request.status }
+      }).catch(err => console.error('Cancellation email error:', err))
+    );
+  }
+
+  if (phone) {
+    deliveries.push(sendSms(phone, `Booking ${bookingRef}: ${text}`));
+  }
+
+  await Promise.all(deliveries);
+}
+
+// Open a pending cancellation request for a booking; returns null if one is already open
+async function openCancellationRequest(booking, { destination, contactNumber, reason }) {
+  const openRequest = await CancellationRequest.findOne({ booking: booking._id, status: { $in: ['pending', 'approved'] } });
+  if (openRequest) return null;
+
+  const newRequest = new CancellationRequest({
+    paymentId: booking.payment.razorpayPaymentId,
+    booking: booking._id,
+    bookingId: booking.bookingId,
+    destination: destination || booking.destination,
+    contactNumber: contactNumber || booking.travelerInfo?.phone,
+    reason
+  });
+  newRequest.history.push({ status: 'pending', note: reason });
+  const savedRequest = await newRequest.save();
+
+  await notifyCancellationUpdate(savedRequest, booking);
+
+  return savedRequest;
+}
+
+app.post('/api/cancellation-requests', authenticate, validate(schemas.bookings.createCancellation), async (req, res) => {
+  try {
+    const { paymentId, destination, contactNumber, reason } = req.body;
+
+    const booking = await Booking.findOne({ 'payment.razorpayPaymentId': paymentId });
+    if (!booking) {
+      return sendError(res, 404, 'No booking found for this payment ID');
+    }
+    if (!isOwnerOrAdmin(req, booking.userId)) return forbidden(res);
+
+    const savedRequest = await openCancellationRequest(booking, { destination, contactNumber, reason });
+    if (!savedRequest) {
+      return sendError(res, 409, 'A cancellation request is already open for this booking');
+    }
+
+    res.status(201).json(savedRequest);
+  } catch (err) {
+    sendError(res, 500, 'Server error');
+  }
+});
+
+app.post('/api/cancellation-requests/:id/approve', authenticate, requireAdmin, validate(schemas.bookings.approveCancellation), async (req, res) => {
+  try {
+    const { note } = req.body;
+    const request = await CancellationRequest.findById(req.params.id);
+    if (!request) return sendError(res, 404, 'Cancellation request not found');
+
+    // "approved" means a previous refund attempt failed and may be retried
+    if (!['pending', 'approved'].includes(request.status)) {
+      return sendError(res, 409, `Cannot approve a request that is ${request.status}`);
+    }
+
+    const booking = await Booking.findOne({ 'payment.razorpayPaymentId': request.paymentId });
+    if (!booking) return sendError(res, 404, 'No booking found for this payment ID');
+
+    const retry = isRefundRetryable(booking);
+    if (CANCELLED_STATUSES.includes(booking.payment?.status) && !retry) {
+      return completeCancellationRequest(res, request, booking);
+    }
+
+    const overrideError = checkRefundOverride(booking, req.body.amount);
+    if (overrideError) return sendError(res, 400, overrideError, { code: 'amount_not_allowed' });
+
+    // The customer's refund entitlement is fixed by when they asked to cancel (or by the failed refund being
+    // retried). Quote before approving so a booking the policy refuses leaves the request pending.
+    let quote;
+    try {
+      quote = retry
+        ? { refundableAmount: booking.cancellationDetails.refundAmount }
+        : quoteOrOverride(booking, request.createdAt, req.body.amount);
+    } catch (error) {
+      if (!(error instanceof RefundPolicyError)) throw error;
+      request.refundError = RefundPolicyError.CLIENT_MESSAGE;
+      await request.save();
+      return sendNotRefundable(res, booking, error, { extra: { request }, admin: true });
+    }
+
+    if (request.status === 'pending') {
+      if (note) request.adminNote = note;
+      transitionCancellation(request, 'approved', note);
+      await request.save();
+      await notifyCancellationUpdate(request, booking);
+    }
+
+    try {
+      const amount = quote.refundableAmount;
+      const refund = await processRefund({
+        paymentId: request.paymentId,
+        amount,
+        reason: request.reason,
+        amountSetBy: quote.amountSetByAdmin ? req.user.id : undefined
+      });
+      // Cancelled in the meantime, e.g. through /api/refund
+      if (!refund) return completeCancellationRequest(res, request, booking);
+      request.refundId = refund.id;
+      request.refundAmount = amount;
+      request.refundStatus = refund.status;
+      request.refundError = undefined;
+      transitionCancellation(request, 'refunded', `Refund ${refund.id} ${refund.status}`);
+      await request.save();
+    } catch (error) {
+      console.error('Cancellation refund error:', error.response?.data || error);
+      // Razorpay's description is safe to show the admin; anything else stays in the log
+      request.refundError = error.response?.data?.error?.description || 'Refund processing failed';
+      await request.save();
+      return sendError(res, error.response ? 502 : 500, request.refundError, { extra: { request } });
+    }
+
+    await notifyCancellationUpdate(request, booking);
+
+    res.json({ success: true, request });
+  } catch (err) {
+    console.error('Cancellation approval error:', err);
+    sendError(res, 500, 'Server error');
+  }
+});
+
+// Close a request whose booking was already cancelled some other way; nothing is refunded twice
+async function completeCancellationRequest(res, request, booking) {
+  request.refundError = undefined;
+  transitionCancellation(request, 'completed', `Booking already ${booking.payment?.status || 'cancelled'}`);
+  await request.save();
+  await notifyCancellationUpdate(request, booking);
+  return sendError(res, 409, 'Booking has already been cancelled; the request has been closed', { code: 'already_cancelled', extra: { request } });
+}
+
+app.post('/api/cancellation-requests/:id/reject', authenticate, requireAdmin, validate(schemas.bookings.reviewCancellation), async (req, res) => {
+  try {
+    const { note } = req.body;
+    const request = await CancellationRequest.findById(req.params.id);
+    if (!request) return sendError(res, 404, 'Cancellation request not found');
+
+    // An approved request whose refund can't go through can still be closed
+    if (!['pending', 'approved'].includes(request.status)) {
+      return sendError(res, 409, `Cannot reject a request that is ${request.status}`);
+    }
+
+    request.adminNote = note;
+    transitionCancellation(request, 'rejected', note);
+    await request.save();
+
+    const booking = await Booking.findOne({ 'payment.razorpayPaymentId': request.paymentId });
+    await notifyCancellationUpdate(request, booking);
+
+    res.json({ success: true, request });
+  } catch (err) {
+    console.error('Cancellation rejection error:', err);
+    sendError(res, 500, 'Server error');
+  }
+});
+
+app.get('/api/cancellation-requests', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const requests = await CancellationRequest.find().sort({ createdAt: -1 });
+    res.json(requests);
+  } catch (err) {
+    sendError(res, 500, 'Server error');
+  }
+});
+
+// === Catalog ===
+// Destinations and packages; public reads only see active entries, admins archive instead of deleting
+// because bookings keep pointing at them.
+// Entries with no seasons run all year, so they match every season
+const seasonFilter = (season) => (season ? { $or: [{ seasons: season }, { seasons: { $size: 0 } }] } : {});
+
+const priceFilter = ({ minPrice, maxPrice }) => {
+  const range = {};
+  if (minPrice !== undefined) range.$gte = minPrice;
+  if (maxPrice !== undefined) range.$lte = maxPrice;
+  return Object.keys(range).length ? range : null;
+};
+
+const toLocation = (coordinates) => ({ type: 'Point', coordinates });
+
+app.get('/api/destinations', validate(schemas.catalog.listDestinations), async (req, res) => {
+  try {
+    const { q, season, country, cursor, limit } = req.query;
+    const filter = { active: true, ...seasonFilter(season) };
+    if (q) filter.$text = { $search: q };
+    if (country) filter.country = new RegExp(`^${escapeRegex(country)}$`, 'i');
+
+    // A destination matches a price range if any of its active packages does
+    const range = priceFilter(req.query);
+    if (range) {
+      filter._id = { $in: await Package.distinct('destination', { active: true, basePrice: range }) };
+    }
+
+    const { items, nextCursor } = await paginate(Destination, filter, { cursor, limit, select: '-active' });
+    res.json({ success: true, destinations: items, nextCursor });
+  } catch (err) {
+    console.error('Destination search error:', err);
+    sendError(res, 500, 'Failed to search destinations');
+  }
+});
+
+app.get('/api/destinations/near', validate(schemas.catalog.nearbyDestinations), async (req, res) => {
+  try {
+    const { lng, lat, radiusKm, limit, season } = req.query;
+
+    const destinations = await Destination.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [lng, lat] },
+          distanceField: 'distanceKm',
+          distanceMultiplier: 0.001,
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query: { active: true, ...seasonFilter(season) }
+        }
+      },
+      { $limit: limit },
+      { $project: { active: 0 } }
+    ]);
+
+    res.json({ success: true, count: destinations.length, destinations });
+  } catch (err) {
+    console.error('Nearby destinations error:', err);
+    sendError(res, 500, 'Failed to search destinations');
+  }
+});
+
+app.get('/api/destinations/:idOrSlug', validate(schemas.catalog.destination), async (req, res) => {
+  try {
+    const { idOrSlug } = req.params;
+    const match = mongoose.isObjectIdOrHexString(idOrSlug) ? { _id: idOrSlug } : { slug: idOrSlug };
+    const destination = await Destination.findOne({ ...match, active: true }).select('-active');
+    if (!destination) return sendError(res, 404, 'Destination not found');
+
+    const packages = await Package.find({ destination: destination._id, active: true })
+      .select('-active')
+      .sort({ basePrice: 1 });
+
+    res.json({ success: true, destination, packages });
+  } catch (err) {
+    console.error('Destination fetch error:', err);
+    sendError(res, 500, 'Failed to fetch destination');
+  }
+});
+
+app.get('/api/packages', validate(schemas.catalog.listPackages), async (req, res) => {
+  try {
+    const { q, season, destination, packageType, cursor, limit } = req.query;
+
+    // Archived destinations take their packages off sale
+    const destinations = await Destination.distinct('_id', { active: true, ...(destination && { _id: destination }) });
+    const filter = { active: true, destination: { $in: destinations }, ...seasonFilter(season) };
+    if (q) filter.$text = { $search: q };
+    if (packageType) filter.packageType = packageType;
+
+    const range = priceFilter(req.query);
+    if (range) filter.basePrice = range;
+
+    const { items, nextCursor } = await paginate(Package, filter, { cursor, limit, select: '-active' });
+    await Package.populate(items, { path: 'destination', select: 'name slug region country location' });
+    res.json({ success: true, packages: items, nextCursor });
+  } catch (err) {
+    console.error('Package search error:', err);
+    sendError(res, 500, 'Failed to search packages');
+  }
+});
+
+app.get('/api/packages/:id', validate(schemas.catalog.package), async (req, res) => {
+  try {
+    const pkg = await catalog.findActivePackage(req.params.id);
+    if (!pkg) return sendError(res, 404, 'Package not found');
+    res.json({ success: true, package: pkg });
+  } catch (err) {
+    console.error('Package fetch error:', err);
+    sendError(res, 500, 'Failed to fetch package');
+  }
+});
+
+// Seats per departure date, for a booking calendar
+app.get('/api/packages/:id/availability', validate(schemas.catalog.availability), async (req, res) => {
+  try {
+    const pkg = await catalog.findActivePackage(req.params.id);
+    if (!pkg) return sendError(res, 404, 'Package not found');
+
+    const days = await inventory.availabilityCalendar(pkg, req.query.from, req.query.to);
+
+    res.json({ success: true, packageId: pkg._id, holdMinutes: inventory.HOLD_MINUTES, days });
+  } catch (err) {
+    console.error('Availability calendar error:', err);
+    sendError(res, 500, 'Failed to fetch availability');
+  }
+});
+
+// --- Catalog admin ---
+const unknownDestination = (res) => sendError(res, 400, 'Request validation failed', {
+  code: 'validation_failed',
+  fields: { 'body.destination': 'Destination not found' }
+});
+
+const adminCatalogFilter = ({ q, active }) => ({
+  ...(q && { $text: { $search: q } }),
+  ...(active !== undefined && { active })
+});
+
+app.get('/api/admin/destinations', authenticate, requireAdmin, validate(schemas.catalog.adminListDestinations), async (req, res) => {
+  try {
+    const { items, nextCursor } = await paginate(Destination, adminCatalogFilter(req.query), {
+      cursor: req.query.cursor,
+      limit: req.query.limit
+    });
+    res.json({ success: true, destinations: items, nextCursor });
+  } catch (err) {
+    sendError(res, 500, 'Failed to fetch destinations');
+  }
+});
+
+app.post('/api/admin/destinations', authenticate, requireAdmin, validate(schemas.catalog.createDestination), async (req, res) => {
+  try {
+    const { coordinates, ...fields } = req.body;
+    const destination = await Destination.create({
+      ...fields,
+      slug: fields.slug || catalog.slugify(fields.name),
+      location: toLocation(coordinates)
+    });
+    res.status(201).json({ success: true, destination });
+  } catch (err) {
+    if (err.code === 11000) return sendError(res, 409, 'A destination with this slug already exists');
+    console.error('Destination create error:', err);
+    sendError(res, 500, 'Failed to create destination');
+  }
+});
+
+app.patch('/api/admin/destinations/:id', authenticate, requireAdmin, validate(schemas.catalog.updateDestination), async (req, res) => {
+  try {
+    const { coordinates, ...fields } = req.body;
+    if (coordinates) fields.location = toLocation(coordinates);
+
+    const destination = await Destination.findByIdAndUpdate(req.params.id, { $set: fields }, { new: true, runValidators: true });
+    if (!destination) return sendError(res, 404, 'Destination not found');
+    res.json({ success: true, destination });
+  } catch (err) {
+    if (err.code === 11000) return sendError(res, 409, 'A destination with this slug already exists');
+    console.error('Destination update error:', err);
+    sendError(res, 500, 'Failed to update destination');
+  }
+});
+
+app.delete('/api/admin/destinations/:id', authenticate, requireAdmin, validate(schemas.catalog.archiveDestination), async (req, res) => {
+  try {
+    const destination = await Destination.findByIdAndUpdate(req.params.id, { active: false }, { new: true });
+    if (!destination) return sendError(res, 404, 'Destination not found');
+    res.json({ success: true, destination });
+  } catch (err) {
+    sendError(res, 500, 'Failed to archive destination');
+  }
+});
+
+app.get('/api/admin/packages', authenticate, requireAdmin, validate(schemas.catalog.adminListPackages), async (req, res) => {
+  try {
+    const filter = adminCatalogFilter(req.query);
+    if (req.query.destination) filter.destination = req.query.destination;
+
+    const { items, nextCursor } = await paginate(Package, filter, {
+      cursor: req.query.cursor,
+      limit: req.query.limit
+    });
+    res.json({ success: true, packages: items, nextCursor });
+  } catch (err) {
+    sendError(res, 500, 'Failed to fetch packages');
+  }
+});
+
+app.post('/api/admin/packages', authenticate, requireAdmin, validate(schemas.catalog.createPackage), async (req, res) => {
+  try {
+    if (!await Destination.exists({ _id: req.body.destination })) {
+      return unknownDestination(res);
+    }
+
+    const pkg = await Package.create({ ...req.body, slug: req.body.slug || catalog.slugify(req.body.name) });
+    await catalog.refreshFromPrice(pkg.destination);
+    res.status(201).json({ success: true, package: pkg });
+  } catch (err) {
+    if (err.code === 11000) return sendError(res, 409, 'A package with this slug already exists');
+    console.error('Package create error:', err);
+    sendError(res, 500, 'Failed to create package');
+  }
+});
+
+app.patch('/api/admin/packages/:id', authenticate, requireAdmin, validate(schemas.catalog.updatePackage), async (req, res) => {
+  try {
+    if (req.body.destination && !await Destination.exists({ _id: req.body.destination })) {
+      return unknownDestination(res);
+    }
+
+    const pkg = await Package.findById(req.params.id);
+    if (!pkg) return sendError(res, 404, 'Package not found');
+
+    const previousDestination = pkg.destination;
+    pkg.set(req.body);
+    await pkg.save();
+    if (req.body.capacityPerDate !== undefined) await inventory.syncPackageCapacity(pkg);
+
+    // Moving a package changes the starting price of both destinations
+    await catalog.refreshFromPrice(pkg.destination);
+    if (!previousDestination.equals(pkg.destination)) await catalog.refreshFromPrice(previousDestination);
+
+    res.json({ success: true, package: pkg });
+  } catch (err) {
+    if (err.code === 11000) return sendError(res, 409, 'A package with this slug already exists');
+    console.error('Package update error:', err);
+    sendError(res, 500, 'Failed to update package');
+  }
+});
+
+app.delete('/api/admin/packages/:id', authenticate, requireAdmin, validate(schemas.catalog.archivePackage), async (req, res) => {
+  try {
+    const pkg = await Package.findByIdAndUpdate(req.params.id, { active: false }, { new: true });
+    if (!pkg) return sendError(res, 404, 'Package not found');
+    await catalog.refreshFromPrice(pkg.destination);
+    res.json({ success: true, package: pkg });
+  } catch (err) {
+    sendError(res, 500, 'Failed to archive package');
+  }
+});
+
+// Override capacity or close/reopen departures over a date range
+app.put('/api/admin/packages/:id/inventory', authenticate, requireAdmin, validate(schemas.catalog.setInventory), async (req, res) => {
+  try {
+    const pkg = await Package.findById(req.params.id);
+    if (!pkg) return sendError(res, 404, 'Package not found');
+
+    const updated = await inventory.setCapacity(pkg, req.body);
+    const days = await inventory.availabilityCalendar(pkg, req.body.from, req.body.to);
+    res.json({ success: true, updated, days });
+  } catch (err) {
+    console.error('Inventory update error:', err);
+    sendError(res, 500, 'Failed to update inventory');
+  }
+});
+
+// Expired seat holds stop counting straight away; this clears them out of the inventory rows
+function startHoldSweepJob(intervalMs = 5 * 60 * 1000) {
+  const timer = setInterval(() => {
+    inventory.sweepExpiredHolds().catch(err => console.error('Seat hold sweep error:', err));
+  }, intervalMs);
+  timer.unref();
+}
+
+// === Payments ===
+const HOLD_FAILURE_MESSAGES = {
+  closed: 'This date is not open for booking',
+  sold_out: 'Not enough seats left on this date',
+  hold_limit: `You can hold at most ${inventory.MAX_HELD_SEATS} seats at a time. Complete or wait out your other orders first.`
+};
+
+app.post('/api/payments/order', optionalAuth, rateLimit('paymentOrder'), validate(schemas.bookings.createOrder), async (req, res) => {
+  try {
+    const { packageType, travelers, duration, addons, packageId, startDate } = req.body;
+    const bookingId = req.body.bookingId || `BK${Date.now()}${crypto.randomInt(100, 1000)}`;
+
+    let catalogPackage = null;
+    if (packageId) {
+      // Package orders hold seats, so they are tied to an account
+      if (!req.user) return sendError(res, 401, 'Sign in to book a package');
+      catalogPackage = await catalog.findActivePackage(packageId);
+      if (!catalogPackage) return sendError(res, 404, 'Package not found');
+    }
+
+    // Package type, travelers and duration were checked against config/pricing by the schema
+    const quote = computeBookingAmount({ packageType, travelers, duration, addons, catalogPackage });
+
+    // Hold the seats while the customer pays; /api/bookings turns the hold into a booking
+    let hold = null;
+    if (catalogPackage) {
+      hold = await inventory.holdSeats(catalogPackage, startDate, quote.travelers, bookingId, req.user.id);
+      if (!hold.ok) {
+        const message = HOLD_FAILURE_MESSAGES[hold.reason];
+        return sendError(res, hold.reason === 'hold_limit' ? 429 : 409, message, { code: hold.reason, extra: { available: hold.available } });
+      }
+    }
+
+    let order;
+    try {
+      order = await razorpay.createOrder({
+        amount: quote.amount,
+        receipt: bookingId,
+        notes: {
+          bookingId,
+          packageType: quote.packageType,
+          travelers: quote.travelers,
+          duration: quote.duration,
+          // Keep the priced breakdown with the order so refunds can be split per component later
+          breakdown: JSON.stringify(quote.breakdown),
+          tax: quote.tax,
+          // The booking picks its catalog entry and departure date up from the order, not from the client;
+          // the start date also decides the refund tier
+          ...(startDate && { startDate: inventory.toInventoryDate(startDate).toISOString() }),
+          ...(catalogPackage && {
+            packageId: String(catalogPackage._id),
+            destinationId: String(catalogPackage.destination._id),
+            destination: catalogPackage.destination.name
+          })
+        }
+      });
+    } catch (err) {
+      if (catalogPackage) await inventory.releaseHold(catalogPackage._id, startDate, bookingId).catch(() => {});
+      throw err;
+    }
+
+    res.status(201).json({
+      success: true,
+      orderId: order.id,
+      amount: quote.amount,
+      currency: order.currency,
+      breakdown: quote.breakdown,
+      tax: quote.tax,
+      bookingId,
+      packageId: catalogPackage?._id,
+      holdExpiresAt: hold?.expiresAt,
+      key: process.env.RAZORPAY_KEY_ID
+    });
+  } catch (error) {
+    console.error('Order creation error:', error.response?.data || error.message);
+    sendError(res, error.response ? 502 : 500, 'Failed to create payment order');
+  }
+});
+
+// === Bookings ===
+app.post('/api/bookings', optionalAuth, validate(schemas.bookings.createBooking), async (req, res) => {
+  try {
+    const { travelerInfo, addons, flightData, hotelData, carData, trainData, busData, bookingId, destination, endDate } = req.body;
+    // Ownership comes from the token, never from the request body
+    const userId = req.user?.id;
+    const paymentInput = req.body.payment;
+
+    const razorpayOrderId = paymentInput.razorpayOrderId || paymentInput.razorpay_order_id;
+    const razorpayPaymentId = paymentInput.razorpayPaymentId || paymentInput.razorpay_payment_id;
+    const razorpaySignature = paymentInput.razorpaySignature || paymentInput.razorpay_signature;
+
+    // Only persist bookings backed by a genuine Razorpay payment
+    if (!razorpay.verifyPaymentSignature({ orderId: razorpayOrderId, paymentId: razorpayPaymentId, signature: razorpaySignature })) {
+      return sendError(res, 400, 'Payment verification failed');
+    }
+
+    const order = await razorpay.fetchOrder(razorpayOrderId);
+    if (order.receipt !== bookingId) {
+      return sendError(res, 400, 'Payment does not belong to this booking');
+    }
+
+    const existing = await Booking.findOne({ 'payment.razorpayPaymentId': razorpayPaymentId });
+    if (existing) {
+      return sendError(res, 409, 'Payment already used for another booking');
+    }
+
+    // Amount comes from the server-created order, not the client
+    const payment = {
+      amount: order.amount / 100,
+      currency: order.currency,
+      status: 'paid',
+      breakdown: order.notes?.breakdown ? JSON.parse(order.notes.breakdown) : undefined,
+      tax: order.notes?.tax !== undefined ? Number(order.notes.tax) : undefined,
+      razorpayOrderId,
+      razorpayPaymentId,
+      razorpaySignature
+    };
+
+    // Package bookings take their held seats now. The departure date is the one priced into the order
+    // (and the seats were held for), never one sent after payment.
+    const packageId = order.notes?.packageId;
+    const departure = order.notes?.startDate;
+    const seats = Number(order.notes?.travelers) || 1;
+    if (packageId) {
+      const seatsTaken = await inventory.confirmSeats(packageId, departure, seats, bookingId);
+      if (!seatsTaken.ok) {
+        // The hold lapsed and the date filled up meanwhile: don't keep money for a trip we can't run.
+        // Record the payment first so a refund that fails here can be finished from /api/refund. The record
+        // has no packageId because it never took any seats.
+        const reason = 'Seats no longer available';
+        const soldOut = await Booking.create({
+          travelerInfo,
+          destination: order.notes.destination,
+          destinationId: order.notes.destinationId,
+          startDate: departure,
+          packageType: order.notes.packageType,
+          duration: order.notes.duration,
+          travelers: order.notes.travelers,
+          payment: { ...payment, status: 'refunding' },
+          cancellationDetails: { date: new Date(), reason, refundAmount: payment.amount },
+          bookingId,
+          userId
+        });
+
+        let refund = null;
+        try {
+          refund = await razorpay.createRefund({ paymentId: razorpayPaymentId, amount: payment.amount, reason });
+        } catch (err) {
+          console.error('Sold-out refund error:', err.response?.data || err.message);
+        }
+        await Booking.updateOne(
+          { _id: soldOut._id, 'payment.status': 'refunding' },
+          {
+            'payment.status': 'cancelled',
+            'cancellationDetails.refundId': refund?.id,
+            'cancellationDetails.refundStatus': refund ? refund.status : 'failed'
+          }
+        );
+        if (!refund) await notifyRefundFailed(soldOut, 'A departure sold out after the customer paid and the automatic refund failed.');
+
+        const message = refund
+          ? 'The date sold out before the booking was confirmed. Your payment has been refunded.'
+          : 'The date sold out before the booking was confirmed. Our team will refund your payment.';
+        return sendError(res, 409, message, { code: 'sold_out', extra: { refundId: refund?.id } });
+      }
+    }
+
+    const newBooking = new Booking({
+      travelerInfo,
+      destination: order.notes?.destination || destination,
+      destinationId: order.notes?.destinationId,
+      packageId,
+      startDate: departure,
+      endDate,
+      packageType: order.notes?.packageType,
+      duration: order.notes?.duration,
+      travelers: order.notes?.travelers,
+      addons,
+      flightData,
+      hotelData,
+      carData,
+      trainData,
+      busData,
+      payment,
+      bookingId,
+      userId
+    });
+
+    let savedBooking;
+    try {
+      savedBooking = await newBooking.save();
+    } catch (err) {
+      if (packageId) await inventory.releaseSeats(packageId, departure, seats).catch(() => {});
+      throw err;
+    }
+
+    // Queue emails to both admin and user
+    const travelerNamesHtml = travelerInfo.travelerNames && travelerInfo.travelerNames.length > 0
+      ? `<ul>${travelerInfo.travelerNames.map(name => `<li>${escapeHtml(name)}</li>`).join('')}</ul>`
+      : 'N/A';
+
+    const bookingData = {
+      bookingId,
+      name: travelerInfo.name,
+      email: travelerInfo.email,
+      phone: travelerInfo.phone,
+      travelerNamesHtml,
+      amount: payment.amount,
+      paymentId: payment.razorpayPaymentId,
+      paymentStatus: payment.status
+    };
+
+    let attachments = [];
+    try {
+      attachments = await bookingAttachments(savedBooking);
+    } catch (err) {
+      console.error('E-ticket generation error:', err);
+    }
+
+    const [adminMail, userMail] = await Promise.all([
+      notifications.queueEmail({
+        template: 'booking-admin',
+        from: mailFrom('Booking System'),
+        to: process.env.ADMIN_EMAIL,
+        bookingId,
+        userId,
+        data: bookingData
+      }).catch(err => console.error('Admin email error:', err)),
+      notifications.queueEmail({
+        template: 'booking-confirmation',
+        from: mailFrom('Tourism Booking'),
+        to: travelerInfo.email,
+        bookingId,
+        userId,
+        data: bookingData,
+        attachments
+      }).catch(err => console.error('User email error:', err))
+    ]);
+
+    const sms = await sendSms(
+      travelerInfo.phone,
+      `Booking ${bookingId} confirmed! Amount paid: Rs.${payment.amount}. Your e-ticket has been emailed to ${travelerInfo.email}.`
+    );
+
+    res.json({
+      success: true,
+      booking: savedBooking,
+      emailsQueued: { admin: !!adminMail, user: !!userMail },
+      smsSent: !!sms
+    });
+
+  } catch (error) {
+    console.error('Error saving booking:', error);
+    sendError(res, 500, 'Failed to save booking');
+  }
+});
+
+app.get('/api/bookings/:userId', authenticate, validate(schemas.bookings.userBookings), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!isOwnerOrAdmin(req, userId)) return forbidden(res);
+
+    const bookings = await Booking.find({ userId });
+    res.json(bookings);
+  } catch (error) {
+    sendError(res, 500, 'Failed to fetch bookings');
+  }
+});
+
+// === Booking Documents ===
+// PDF e-ticket and .ics calendar for a booking, as email attachments
+async function bookingAttachments(booking) {
+  const segments = bookingSegments(booking);
+  return [
+    { filename: `e-ticket-${booking.bookingId}.pdf`, contentType: 'application/pdf', content: await buildETicket(booking, segments) },
+    { filename: `itinerary-${booking.bookingId}.ics`, contentType: 'text/calendar', content: Buffer.from(buildBookingCalendar(booking, segments)) }
+  ];
+}
+
+async function findOwnedBooking(req, res) {
+  const booking = await Booking.findOne({ bookingId: req.params.bookingId });
+  if (!booking) {
+    sendError(res, 404, 'Booking not found');
+    return null;
+  }
+  if (!isOwnerOrAdmin(req, booking.userId)) {
+    forbidden(res);
+    return null;
+  }
+  return booking;
+}
+
+app.get('/api/bookings/:bookingId/eticket', authenticate, validate(schemas.bookings.bookingDocument), async (req, res) => {
+  try {
+    const booking = await findOwnedBooking(req, res);
+    if (!booking) return;
+
+    const pdf = await buildETicket(booking, bookingSegments(booking));
+    res.type('application/pdf');
+    res.attachment(`e-ticket-${booking.bookingId}.pdf`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('E-ticket error:', error);
+    sendError(res, 500, 'Failed to generate e-ticket');
+  }
+});
+
+app.get('/api/bookings/:bookingId/calendar', authenticate, validate(schemas.bookings.bookingDocument), async (req, res) => {
+  try {
+    const booking = await findOwnedBooking(req, res);
+    if (!booking) return;
+
+    res.type('text/calendar; charset=utf-8');
+    res.attachment(`itinerary-${booking.bookingId}.ics`);
+    res.send(buildBookingCalendar(booking, bookingSegments(booking)));
+  } catch (error) {
+    console.error('Calendar export error:', error);
+    sendError(res, 500, 'Failed to generate calendar');
+  }
+});
+
+// === Trip Reminders ===
+const TRIP_REMINDER_LEAD_MS = 48 * 60 * 60 * 1000;
+
+// SMS travelers whose paid trip starts within the next 48 hours, once per booking
+async function sendTripReminders() {
+  const now = new Date();
+  const bookings = await Booking.find({
+    'payment.status': 'paid',
+    startDate: { $gt: now, $lte: new Date(now.getTime() + TRIP_REMINDER_LEAD_MS) },
+    reminderSmsSentAt: null
+  }).limit(100);
+
+  for (const booking of bookings) {
+    // Claim the booking first so another instance running the job doesn't text the same traveler
+    const claimedAt = new Date();
+    const claimed = await Booking.updateOne({ _id: booking._id, reminderSmsSentAt: null }, { reminderSmsSentAt: claimedAt });
+    if (!claimed.modifiedCount) continue;
+
+    const sms = await sendSms(
+      booking.travelerInfo?.phone,
+      `Reminder: your trip to ${booking.destination || 'your destination'} (booking ${booking.bookingId}) starts on ${new Date(booking.startDate).toDateString()}. Have a great journey!`
+    );
+    // A failed send is released for the next run; numbers we can never text stay marked so they aren't retried every hour
+    if (!sms && toE164(booking.travelerInfo?.phone)) {
+      await Booking.updateOne({ _id: booking._id, reminderSmsSentAt: claimedAt }, { $unset: { reminderSmsSentAt: 1 } });
+    }
+  }
+}
+
+function startTripReminderJob(intervalMs = 60 * 60 * 1000) {
+  const timer = setInterval(() => {
+    sendTripReminders().catch(err => console.error('Trip reminder job error:', err));
+  }, intervalMs);
+  timer.unref();
+}
+
+// === Refund ===
+// Payment statuses a booking can no longer be refunded from
+const REFUND_STATUSES = ['refunding', 'cancelled', 'refunded'];
+
+// Log why the policy refused a booking and send the fixed client message; other errors are rethrown.
+// Admin routes also say when a booking only needs a refund amount set by hand.
+function sendNotRefundable(res, booking, err, { extra, admin = false } = {}) {
+  if (!(err instanceof RefundPolicyError)) throw err;
+  console.warn(`Refund refused for booking ${booking.bookingId}: ${err.message}`);
+  if (admin && err.code === 'no_start_date') {
+    return sendError(res, 422, 'Booking has no trip start date; send the refund amount to set it by hand', { code: 'amount_required', extra });
+  }
+  return sendError(res, 422, RefundPolicyError.CLIENT_MESSAGE, { code: 'not_refundable', extra });
+}
+
+// Bookings made before start dates were recorded can't be quoted, so an admin sets their refund amount.
+// Returns why `amount` can't be used for this booking, or null.
+function checkRefundOverride(booking, amount) {
+  if (amount === undefined) return null;
+  if (booking.startDate) return 'amount can only be set for bookings without a trip start date';
+  if (amount > (booking.payment?.amount || 0)) return 'amount must not be more than the amount paid';
+  return null;
+}
+
+// quoteRefund, falling back to the admin's amount (checked by checkRefundOverride) when the booking has no start date
+function quoteOrOverride(booking, asOf, amount) {
+  try {
+    return quoteRefund(booking, asOf);
+  } catch (err) {
+    if (!(err instanceof RefundPolicyError) || err.code !== 'no_start_date' || amount === undefined) throw err;
+    return { refundableAmount: amount, rule: 'Amount set by an admin: booking has no trip start date', amountSetByAdmin: true };
+  }
+}
+
+// A cancelled booking whose refund failed at Razorpay may be refunded again, for the amount already agreed
+const isRefundRetryable = (booking) =>
+  booking.payment?.status === 'cancelled' && booking.cancellationDetails?.refundStatus === 'failed';
+
+// Tell the admin a refund did not go through so it isn't forgotten; failures are logged, never thrown
+async function notifyRefundFailed(booking, text) {
+  await notifications.queueEmail({
+    template: 'refund-failed-admin',
+    from: mailFrom('Booking System'),
+    to: process.env.ADMIN_EMAIL,
+    bookingId: booking.bookingId,
+    data: {
+      text,
+      bookingId: booking.bookingId,
+      paymentId: booking.payment?.razorpayPaymentId,
+      amount: booking.cancellationDetails?.refundAmount
+    }
+  }).catch(err => console.error('Refund failure email error:', err));
+}
+
+// Refund a payment through Razorpay and mark its booking cancelled; shared by /api/refund and cancellation approval.
+// Returns null without refunding when the booking is already cancelled or another refund holds it.
+async function processRefund({ paymentId, amount, reason, amountSetBy }) {
+  // Claim the booking before talking to Razorpay so concurrent refunds can't both pay out
+  const claimed = await Booking.findOneAndUpdate(
+    {
+      "payment.razorpayPaymentId": paymentId,
+      $or: [
+        { "payment.status": { $nin: REFUND_STATUSES } },
+        { "payment.status": 'cancelled', "cancellationDetails.refundStatus": 'failed' }
+      ]
+    },
+    { "payment.status": 'refunding' }
+  );
+  if (!claimed) return null;
+
+  let refund;
+  try {
+    // Razorpay rejects zero-value refunds; the booking is still cancelled
+    refund = amount > 0
+      ? await razorpay.createRefund({ paymentId, amount, reason })
+      : { id: null, status: 'not_applicable' };
+  } catch (err) {
+    await Booking.updateOne(
+      { "payment.razorpayPaymentId": paymentId, "payment.status": 'refunding' },
+      { "payment.status": claimed.payment.status }
+    ).catch(rollbackErr => console.error('Refund rollback error:', rollbackErr));
+    throw err;
+  }
+
+  // A refund.processed webhook may already have marked it refunded; keep that status and refund state
+  const alreadyRefunded = { $eq: ['$payment.status', 'refunded'] };
+  const booking = await Booking.findOneAndUpdate(
+    { "payment.razorpayPaymentId": paymentId, "payment.status": { $in: ['refunding', 'refunded'] } },
+    [{
+      $set: {
+        "payment.status": { $cond: [alreadyRefunded, 'refunded', 'cancelled'] },
+        cancellationDetails: {
+          date: { $literal: new Date() },
+          reason: { $literal: reason },
+          refundAmount: { $literal: amount },
+          refundId: { $literal: refund.id },
+          refundStatus: { $cond: [alreadyRefunded, '$cancellationDetails.refundStatus', { $literal: refund.status }] },
+          ...(amountSetBy && { amountSetBy: { $literal: amountSetBy } })
+        }
+      }
+    }]
+  );
+
+  // Seats went back when the booking was first cancelled, not again on a retried refund
+  if (claimed.payment.status !== 'cancelled' && booking?.packageId && booking.startDate) {
+    await inventory.releaseSeats(booking.packageId, booking.startDate, booking.travelers || 1)
+      .catch(err => console.error('Seat release error:', err));
+  }
+
+  return refund;
+}
+
+app.get('/api/refund/quote/:paymentId', authenticate, validate(schemas.bookings.refundQuote), async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ 'payment.razorpayPaymentId': req.params.paymentId });
+    if (!booking) return sendError(res, 404, 'Booking not found');
+    if (!isOwnerOrAdmin(req, booking.userId)) return forbidden(res);
+
+    if (REFUND_STATUSES.includes(booking.payment?.status)) {
+      return sendError(res, 409, 'Booking has already been cancelled');
+    }
+
+    let quote;
+    try {
+      quote = quoteRefund(booking);
+    } catch (err) {
+      return sendNotRefundable(res, booking, err);
+    }
+
+    res.json({ success: true, quote });
+  } catch (error) {
+    sendError(res, 500, 'Failed to compute refund quote');
+  }
+});
+
+app.post('/api/refund', authenticate, requireAdmin, validate(schemas.bookings.refund), async (req, res) => {
+  try {
+    const { payment_id, reason } = req.body;
+
+    const booking = await Booking.findOne({ 'payment.razorpayPaymentId': payment_id });
+    if (!booking) return sendError(res, 404, 'Booking not found');
+
+    const retry = isRefundRetryable(booking);
+    if (REFUND_STATUSES.includes(booking.payment?.status) && !retry) {
+      return sendError(res, 409, 'Booking has already been cancelled');
+    }
+
+    // The refundable amount comes from the policy (or the failed refund being retried), never from the caller,
+    // except for bookings without a start date
+    let amount;
+    let rule;
+    let amountSetBy;
+    if (retry) {
+      amount = booking.cancellationDetails.refundAmount;
+      rule = 'Retry of a failed refund';
+    } else {
+      const overrideError = checkRefundOverride(booking, req.body.amount);
+      if (overrideError) return sendError(res, 400, overrideError, { code: 'amount_not_allowed' });
+      try {
+        const quote = quoteOrOverride(booking, new Date(), req.body.amount);
+        ({ refundableAmount: amount, rule } = quote);
+        if (quote.amountSetByAdmin) amountSetBy = req.user.id;
+      } catch (err) {
+        return sendNotRefundable(res, booking, err, { admin: true });
+      }
+    }
+
+    const refund = await processRefund({ paymentId: payment_id, amount, reason: reason || booking.cancellationDetails?.reason, amountSetBy });
+    if (!refund) return sendError(res, 409, 'Booking has already been cancelled');
+
+    res.json({
+      success: true,
+      refund_id: refund.id,
+      amount,
+      status: refund.status,
+      rule
+    });
+
+  } catch (error) {
+    console.error('Refund error:', error.response?.data || error);
+    // Razorpay's description is safe to show the admin; anything else stays in the log
+    const description = error.response?.data?.error?.description;
+    sendError(res, error.response ? 502 : 500, description || 'Refund processing failed');
+  }
+});
+
+// === Razorpay Webhooks ===
+// Apply a verified Razorpay event to the matching booking; returns the booking or null
+async function applyRazorpayEvent(event, payload) {
+  const payment = payload.payment?.entity;
+  const refund = payload.refund?.entity;
+
+  switch (event) {
+    case 'payment.captured': {
+      if (!payment) return null;
+      return Booking.findOneAndUpdate(
+        {
+          // The order only identifies the booking while no payment has been recorded against it;
+          // a capture for another payment on the same order must not take the booking over
+          $or: [
+            { 'payment.razorpayPaymentId': payment.id },
+            { 'payment.razorpayOrderId': payment.order_id, 'payment.razorpayPaymentId': { $exists: false } }
+          ],
+          // Never resurrect a booking that is being or has been cancelled/refunded
+          'payment.status': { $nin: REFUND_STATUSES }
+        },
+        { 'payment.status': 'paid', 'payment.razorpayPaymentId': payment.id },
+        { new: true }
+      );
+    }
+    case 'payment.failed': {
+      if (!payment) return null;
+      // Razorpay reports every failed attempt on an order, possibly after the capture, so only
+      // the failed payment itself counts and a paid booking is never downgraded
+      return Booking.findOneAndUpdate(
+        {
+          'payment.razorpayPaymentId': payment.id,
+          'payment.status': { $nin: ['paid', ...REFUND_STATUSES] }
+        },
+        { 'payment.status': 'failed' },
+        { new: true }
+      );
+    }
+    case 'refund.created':
+    case 'refund.processed':
+    case 'refund.failed': {
+      if (!refund) return null;
+      const update = {
+        'cancellationDetails.refundId': refund.id,
+        'cancellationDetails.refundStatus': refund.status,
+        'cancellationDetails.refundAmount': refund.amount / 100
+      };
+      if (event === 'refund.processed') update['payment.status'] = 'refunded';
+
+      // A failed refund leaves the booking cancelled with refundStatus "failed", which /api/refund and
+      // approval retry; the request goes back to approved so it shows up as needing attention
+      const failed = event === 'refund.failed';
+      const requestUpdate = { $set: { refundStatus: refund.status } };
+      if (failed) {
+        const refundError = refund.error_description || 'Refund failed at Razorpay';
+        requestUpdate.$set = { ...requestUpdate.$set, status: 'approved', refundError };
+        requestUpdate.$push = { history: { status: 'approved', note: `Refund ${refund.id} failed: ${refundError}` } };
+      }
+      await CancellationRequest.updateMany(
+        { paymentId: refund.payment_id, refundId: refund.id },
+        requestUpdate
+      );
+
+      const booking = await Booking.findOneAndUpdate(
+        { 'payment.razorpayPaymentId': refund.payment_id },
+        update,
+        { new: true }
+      );
+      if (failed && booking) {
+        await notifyRefundFailed(booking, `Razorpay reported refund ${refund.id} as failed. The booking stays cancelled until the refund is retried.`);
+      }
+      return booking;
+    }
+    default:
+      return null;
+  }
+}
+
+app.post('/api/webhooks/razorpay', validate(schemas.bookings.razorpayWebhook), async (req, res) => {
+  const signature = req.headers['x-razorpay-signature'];
+  if (!razorpay.verifyWebhookSignature(req.rawBody, signature)) {
+    return sendError(res, 400, 'Invalid webhook signature');
+  }
+
+  const { event, payload = {} } = req.body;
+  const eventId = req.headers['x-razorpay-event-id']
+    || crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+  let record;
+  try {
+    record = await WebhookEvent.create({ eventId, event, payload });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.json({ success: true, duplicate: true });
+    }
+    console.error('Webhook store error:', err);
+    return sendError(res, 500, 'Webhook processing failed');
+  }
+
+  try {
+    const booking = await applyRazorpayEvent(event, payload);
+    record.status = booking ? 'processed' : 'ignored';
+    record.bookingId = booking?.bookingId;
+    record.processedAt = new Date();
+    await record.save();
+    res.json({ success: true, status: record.status });
+  } catch (err) {
+    // Forget the event so Razorpay's retry gets another go at it
+    await WebhookEvent.deleteOne({ _id: record._id }).catch(() => {});
+    console.error('Webhook processing error:', err);
+    sendError(res, 500, 'Webhook processing failed');
+  }
+});
+
+// === Twilio Call ===
+const { VoiceResponse } = twilio.twiml;
+const VOICE = { voice: 'alice' };
+
+// Twilio posts form-encoded parameters to TwiML URLs; every TwiML route must be signed by Twilio
+const twimlRoute = [bodyParser.urlencoded({ extended: false }), validateTwilioRequest];
+
+const sendTwiml = (res, response) => {
+  res.type('text/xml');
+  res.send(response.toString());
+};
+
+// Abuse limits for outbound calls; counted from the call log so they hold across instances
+const CALL_LIMITS = {
+  perNumber: parseInt(process.env.CALL_LIMIT_PER_NUMBER, 10) || 3,
+  perNumberWindowMs: 24 * 60 * 60 * 1000,
+  perIp: parseInt(process.env.CALL_LIMIT_PER_IP, 10) || 10,
+  perIpWindowMs: 60 * 60 * 1000
+};
+
+const TERMINAL_CALL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+// Returns a reason code when the call must not be placed, otherwise null. `log` is this attempt's CallLog,
+// saved beforehand so concurrent attempts see each other; each one counts the attempts logged up to and
+// including itself, so at most the limit get through however many arrive at once.
+async function callBlockReason(log) {
+  const { to, ipAddress } = log;
+  if (await DoNotCall.exists({ phone: to })) return 'do_not_call';
+  if (isQuietHours(timezoneForNumber(to))) return 'quiet_hours';
+
+  const upToThis = (windowMs) => ({
+    _id: { $lte: log._id },
+    status: { $ne: 'blocked' },
+    createdAt: { $gte: new Date(Date.now() - windowMs) }
+  });
+  const [numberCalls, ipCalls] = await Promise.all([
+    CallLog.countDocuments({ to, ...upToThis(CALL_LIMITS.perNumberWindowMs) }),
+    CallLog.countDocuments({ ipAddress, ...upToThis(CALL_LIMITS.perIpWindowMs) })
+  ]);
+  if (numberCalls > CALL_LIMITS.perNumber) return 'number_limit';
+  if (ipCalls > CALL_LIMITS.perIp) return 'ip_limit';
+  return null;
+}
+
+const CALL_BLOCK_RESPONSES = {
+  do_not_call: [403, 'This number has opted out of calls'],
+  quiet_hours: [403, 'Calls are not placed during quiet hours in the recipient\'s time zone'],
+  number_limit: [429, 'Too many calls to this number. Please try again later.'],
+  ip_limit: [429, 'Too many call requests. Please try again later.']
+};
+
+app.post('/api/call-user', optionalAuth, validate(schemas.calls.callUser), async (req, res) => {
+  const { phoneNumber, placeName } = req.body;
+
+  const to = toE164(phoneNumber);
+
+  const entry = { to, from: twilioPhone, placeName, requestedBy: req.user?.id, ipAddress: req.ip };
+
+  try {
+    // Log before checking the limits so concurrent requests count towards them
+    const log = await CallLog.create({ ...entry, events: [{ status: 'initiated' }] });
+
+    const blockedReason = await callBlockReason(log);
+    if (blockedReason) {
+      await CallLog.updateOne({ _id: log._id }, { status: 'blocked', blockedReason, events: [{ status: 'blocked', at: new Date() }] });
+      const [status, message] = CALL_BLOCK_RESPONSES[blockedReason];
+      return sendError(res, status, message, { code: blockedReason });
+    }
+
+    const baseUrl = process.env.PUBLIC_BASE_URL || `https://${req.headers.host}`;
+    try {
+      const call = await client.calls.create({
+        url: `${baseUrl}/twiml/${encodeURIComponent(placeName)}`,
+        to,
+        from: twilioPhone,
+        // Callbacks can beat the callSid being saved, so they name the log directly
+        statusCallback: `${baseUrl}/api/twilio/call-status?callId=${log._id}`,
+        statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+        statusCallbackMethod: 'POST',
+      });
+      // Status callbacks may already have moved the call on; don't put it back to queued
+      const status = call.status || 'queued';
+      await CallLog.updateOne({ _id: log._id }, { $set: { callSid: call.sid }, $push: { events: { status, at: new Date() } } });
+      await CallLog.updateOne({ _id: log._id, status: 'initiated' }, { $set: { status } });
+    } catch (err) {
+      log.status = 'failed';
+      log.errorCode = err.code ? String(err.code) : undefined;
+      log.events.push({ status: 'failed' });
+      log.endedAt = new Date();
+      await log.save();
+      throw err;
+    }
+
+    res.json({ success: true, callId: log._id });
+  } catch (err) {
+    console.error('Error making call:', err);
+    sendError(res, 500, 'Call failed');
+  }
+});
+
+// Twilio status callback: queued → ringing → in-progress → completed/busy/no-answer/failed/canceled
+app.post('/api/twilio/call-status', twimlRoute, validate(schemas.calls.callStatus), async (req, res) => {
+  const { CallSid, CallStatus, CallDuration, ErrorCode } = req.body;
+
+  try {
+    const at = req.body.Timestamp ? new Date(req.body.Timestamp) : new Date();
+    const event = { status: CallStatus, at: Number.isNaN(at.getTime()) ? new Date() : at };
+    const update = { $push: { events: event } };
+    const set = {};
+
+    // Callbacks can arrive out of order; never move a finished call back to an in-flight state
+    const { callId } = req.query;
+    const log = await CallLog.findOne(callId ? { _id: callId } : { callSid: CallSid }).select('status callSid');
+    if (!log) return sendError(res, 404, 'Unknown call');
+    if (!log.callSid) set.callSid = CallSid;
+    if (!TERMINAL_CALL_STATUSES.includes(log.status)) set.status = CallStatus;
+    if (CallStatus === 'in-progress') set.answeredAt = event.at;
+    if (TERMINAL_CALL_STATUSES.includes(CallStatus)) {
+      set.endedAt = event.at;
+      if (CallDuration !== undefined) set.duration = parseInt(CallDuration, 10) || 0;
+    }
+    if (ErrorCode) set.errorCode = ErrorCode;
+    if (Object.keys(set).length) update.$set = set;
+
+    await CallLog.updateOne({ _id: log._id }, update);
+    res.sendStatus(204);
+  } catch (err) {
+    console.error('Call status callback error:', err);
+    sendError(res, 500, 'Failed to record call status');
+  }
+});
+
+// === Call History & Do-Not-Call ===
+app.get('/api/admin/calls', authenticate, requireAdmin, validate(schemas.calls.listCalls), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.phone) filter.to = toE164(req.query.phone);
+    ['status', 'ipAddress', 'requestedBy', 'blockedReason'].forEach(field => {
+      if (req.query[field]) filter[field] = req.query[field];
+    });
+    const range = dateRange(req.query.from, req.query.to);
+    if (range) filter.createdAt = range;
+
+    const { items, nextCursor } = await paginate(CallLog, filter, {
+      cursor: req.query.cursor,
+      limit: req.query.limit
+    });
+
+    res.json({ success: true, calls: items, nextCursor });
+  } catch (err) {
+    console.error('Call history error:', err);
+    sendError(res, 500, 'Failed to fetch call history');
+  }
+});
+
+app.get('/api/admin/do-not-call', authenticate, requireAdmin, validate(schemas.calls.listDoNotCall), async (req, res) => {
+  try {
+    const { items, nextCursor } = await paginate(DoNotCall, {}, {
+      cursor: req.query.cursor,
+      limit: req.query.limit
+    });
+    res.json({ success: true, numbers: items, nextCursor });
+  } catch (err) {
+    sendError(res, 500, 'Failed to fetch do-not-call list');
+  }
+});
+
+app.post('/api/admin/do-not-call', authenticate, requireAdmin, validate(schemas.calls.addDoNotCall), async (req, res) => {
+  const phone = toE164(req.body.phone);
+
+  try {
+    const entry = await DoNotCall.findOneAndUpdate(
+      { phone },
+      { $set: { reason: req.body.reason }, $setOnInsert: { addedBy: req.user.id } },
+      { upsert: true, new: true }
+    );
+    res.status(201).json({ success: true, entry });
+  } catch (err) {
+    console.error('Do-not-call add error:', err);
+    sendError(res, 500, 'Failed to update do-not-call list');
+  }
+});
+
+app.delete('/api/admin/do-not-call/:phone', authenticate, requireAdmin, validate(schemas.calls.removeDoNotCall), async (req, res) => {
+  const phone = toE164(req.params.phone);
+
+  try {
+    const { deletedCount } = await DoNotCall.deleteOne({ phone });
+    if (!deletedCount) return sendError(res, 404, 'Number is not on the do-not-call list');
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, 500, 'Failed to update do-not-call list');
+  }
+});
+
+// === Twilio IVR ===
+// Inbound calls: point the Twilio number's voice webhook at /twiml/ivr
+const IVR_MAIN_MENU = '/twiml/ivr';
+
+const speakDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+
+// Booking IDs look like BK1700000000123; callers can only key in the digits
+const findBookingByKeypad = (digits) => Booking.findOne({ bookingId: { $in: [digits, `BK${digits}`] } });
+
+// Compare the last 10 digits so +91 98xxxxxxxx and 98xxxxxxxx match
+const samePhone = (a, b) => {
+  const digits = (value) => String(value || '').replace(/\D/g, '').slice(-10);
+  return !!digits(a) && digits(a) === digits(b);
+};
+
+function mainMenu(response) {
+  const gather = response.gather({ numDigits: 1, action: '/twiml/ivr/menu', method: 'POST', timeout: 6 });
+  gather.say(VOICE, 'Welcome to Tourism support. To check the status of a booking, press 1. To request a call back, press 2. To speak to an agent, press 3.');
+  response.say(VOICE, 'We did not receive any input. Goodbye!');
+  return response;
+}
+
+function connectAgent(response) {
+  if (process.env.SUPPORT_AGENT_NUMBER) {
+    response.say(VOICE, 'Please hold while we connect you to an agent.');
+    response.dial({ callerId: twilioPhone, timeout: 30 }, process.env.SUPPORT_AGENT_NUMBER);
+    response.say(VOICE, 'Sorry, all our agents are busy right now.');
+  } else {
+    response.say(VOICE, 'Sorry, no agents are available right now.');
+  }
+  const gather = response.gather({ numDigits: 1, action: '/twiml/ivr/menu', method: 'POST' });
+  gather.say(VOICE, 'To request a call back instead, press 2.');
+  return response;
+}
+
+async function requestCallback(response, { phone, bookingId, callSid }) {
+  await CallbackRequest.create({ phone, bookingId, callSid });
+  notifications.queueEmail({
+    template: 'callback-request',
+    from: mailFrom('Phone Support'),
+    to: process.env.ADMIN_EMAIL,
+    bookingId,
+    data: { phone, bookingId: bookingId || 'Not provided' }
+  }).catch(err => console.error('Callback email error:', err));
+
+  response.say(VOICE, 'Thank you. One of our agents will call you back shortly. Goodbye!');
+  response.hangup();
+  return response;
+}
+
+app.all(IVR_MAIN_MENU, twimlRoute, validate(schemas.calls.ivr), (req, res) => {
+  sendTwiml(res, mainMenu(new VoiceResponse()));
+});
+
+app.post('/twiml/ivr/menu', twimlRoute, validate(schemas.calls.ivr), async (req, res) => {
+  const response = new VoiceResponse();
+  try {
+    switch (req.body.Digits) {
+      case '1': {
+        const gather = response.gather({ finishOnKey: '#', timeout: 10, action: '/twiml/ivr/booking', method: 'POST' });
+        gather.say(VOICE, 'Please enter the digits of your booking ID, followed by the hash key.');
+        response.redirect({ method: 'POST' }, IVR_MAIN_MENU);
+        break;
+      }
+      case '2':
+        await requestCallback(response, { phone: req.body.From, callSid: req.body.CallSid });
+        break;
+      case '3':
+        connectAgent(response);
+        break;
+      default:
+        response.say(VOICE, 'Sorry, that is not a valid option.');
+        response.redirect({ method: 'POST' }, IVR_MAIN_MENU);
+    }
+  } catch (err) {
+    console.error('IVR menu error:', err);
+    response.say(VOICE, 'Sorry, something went wrong. Please try again later.');
+  }
+  sendTwiml(res, response);
+});
+
+app.post('/twiml/ivr/booking', twimlRoute, validate(schemas.calls.ivr), async (req, res) => {
+  const response = new VoiceResponse();
+  try {
+    const digits = String(req.body.Digits || '').replace(/\D/g, '');
+    const booking = digits && await findBookingByKeypad(digits);
+
+    if (!booking) {
+      response.say(VOICE, 'Sorry, we could not find a booking with that ID.');
+      response.redirect({ method: 'POST' }, IVR_MAIN_MENU);
+      return sendTwiml(res, response);
+    }
+
+    // Only read out booking details to the phone number on the booking
+    if (!samePhone(req.body.From, booking.travelerInfo?.phone)) {
+      response.say(VOICE, 'For your security, booking details can only be shared when calling from the phone number on the booking.');
+      connectAgent(response);
+      return sendTwiml(res, response);
+    }
+
+    const status = booking.payment?.status || 'pending';
+    response.say(VOICE, `Booking for ${booking.destination || 'your trip'} is ${status}.`);
+    if (booking.startDate) {
+      response.say(VOICE, booking.endDate
+        ? `Your trip runs from ${speakDate(booking.startDate)} to ${speakDate(booking.endDate)}.`
+        : `Your trip starts on ${speakDate(booking.startDate)}.`);
+    }
+
+    const request = await CancellationRequest.findOne({ booking: booking._id }).sort({ createdAt: -1 });
+    if (request) {
+      response.say(VOICE, `Your cancellation request is ${request.status}.`);
+    }
+    const refund = booking.cancellationDetails;
+    if (refund?.refundStatus && refund.refundStatus !== 'not_applicable') {
+      response.say(VOICE, `A refund of ${refund.refundAmount} rupees is ${refund.refundStatus}.`);
+    }
+
+    const gather = response.gather({
+      numDigits: 1,
+      action: `/twiml/ivr/booking-menu?bookingId=${encodeURIComponent(booking.bookingId)}`,
+      method: 'POST'
+    });
+    gather.say(VOICE, 'To request a call back about this booking, press 1. To speak to an agent, press 2. To return to the main menu, press 9.');
+    response.say(VOICE, 'Thank you for calling. Goodbye!');
+  } catch (err) {
+    console.error('IVR booking lookup error:', err);
+    response.say(VOICE, 'Sorry, something went wrong. Please try again later.');
+  }
+  sendTwiml(res, response);
+});
+
+app.post('/twiml/ivr/booking-menu', twimlRoute, validate(schemas.calls.ivrBookingMenu), async (req, res) => {
+  const response = new VoiceResponse();
+  try {
+    if (req.body.Digits === '1') {
+      await requestCallback(response, { phone: req.body.From, bookingId: req.query.bookingId, callSid: req.body.CallSid });
+    } else if (req.body.Digits === '2') {
+      connectAgent(response);
+    } else {
+      response.redirect({ method: 'POST' }, IVR_MAIN_MENU);
+    }
+  } catch (err) {
+    console.error('IVR booking menu error:', err);
+    response.say(VOICE, 'Sorry, something went wrong. Please try again later.');
+  }
+  sendTwiml(res, response);
+});
+
+// Twilio requests call URLs with POST by default; GET is kept for older calls
+// Reads out what the catalog actually says about the place, if we have it
+app.all('/twiml/:placeName', twimlRoute, validate(schemas.calls.placeCall), async (req, res) => {
+  const { placeName } = req.params;
+  const response = new VoiceResponse();
+  try {
+    const destination = await catalog.findDestinationByName(placeName);
+    if (destination) {
+      response.say(VOICE, `Hello! Thank you for your interest in ${destination.name}.`);
+      if (destination.description) response.say(VOICE, destination.description);
+      if (destination.highlights?.length) response.say(VOICE, `Highlights include ${destination.highlights.slice(0, 3).join(', ')}.`);
+      if (destination.fromPrice !== undefined) response.say(VOICE, `Packages start from ${destination.fromPrice} rupees per person per day.`);
+      response.say(VOICE, 'Visit our website to see the packages and book.');
+    } else {
+      response.say(VOICE, `Hello! Thank you for your interest in ${placeName}. Visit our website or call us back to plan your trip.`);
+    }
+  } catch (err) {
+    console.error('Place call lookup error:', err);
+    response.say(VOICE, `Hello! Thank you for your interest in ${placeName}. Visit our website to plan your trip.`);
+  }
+  sendTwiml(res, response);
+});
+
+// === Feedback Routes ===
+app.post("/api/feedback", authenticate, rateLimit('feedback'), validate(schemas.feedback.createFeedback), async (req, res) => {
+  try {
+    const { bookingId, rating, recommendScore, componentRatings, improvement } = req.body;
+
+    const booking = await Booking.findOne({ bookingId });
+    if (!booking) return sendError(res, 404, "Booking not found");
+    if (!isOwnerOrAdmin(req, booking.userId)) return forbidden(res);
+
+    // Only trips that were paid for and have ended can be reviewed
+    const tripEnd = booking.endDate || booking.startDate;
+    if (booking.payment?.status !== 'paid' || !tripEnd || tripEnd > new Date()) {
+      return sendError(res, 409, "Feedback can only be left for completed trips");
+    }
+
+    const newFeedback = new Feedback({
+      booking: booking._id,
+      bookingId: booking.bookingId,
+      userId: req.user.id,
+      destination: booking.destination,
+      addons: Object.keys(booking.addons || {}).filter(addon => booking.addons[addon]),
+      rating,
+      recommendScore,
+      componentRatings,
+      improvement
+    });
+    await newFeedback.save();
+    res.status(201).json({ message: "Feedback saved successfully!" });
+  } catch (err) {
+    if (err.code === 11000) {
+      return sendError(res, 409, "Feedback has already been submitted for this booking");
+    }
+    sendError(res, 500, "Error saving feedback");
+  }
+});
+
+// NPS = % promoters (9-10) minus % detractors (0-6)
+const npsFields = {
+  responses: { $sum: 1 },
+  promoters: { $sum: { $cond: [{ $gte: ['$recommendScore', 9] }, 1, 0] } },
+  detractors: { $sum: { $cond: [{ $lte: ['$recommendScore', 6] }, 1, 0] } },
+  averageRating: { $avg: '$rating' }
+};
+
+const withNps = ({ _id, responses, promoters, detractors, ...row }) => ({
+  key: _id,
+  responses,
+  promoters,
+  detractors,
+  nps: responses ? Math.round(((promoters - detractors) / responses) * 100) : null,
+  ...row
+});
+
+app.get('/api/admin/feedback/nps', authenticate, requireAdmin, validate(schemas.feedback.npsReport), async (req, res) => {
+  try {
+    const { groupBy } = req.query;
+    const range = dateRange(req.query.from, req.query.to);
+
+    const pipeline = [{ $match: { recommendScore: { $ne: null }, ...(range && { createdAt: range }) } }];
+    if (groupBy === 'overall') {
+      pipeline.push({ $group: { _id: null, ...npsFields } });
+    } else if (groupBy === 'destination') {
+      pipeline.push({ $group: { _id: { $ifNull: ['$destination', 'Unknown'] }, ...npsFields } });
+    } else if (groupBy === 'addon') {
+      pipeline.push({ $unwind: '$addons' }, { $group: { _id: '$addons', ...npsFields } });
+    }
+    pipeline.push({ $sort: { responses: -1 } });
+
+    const rows = await Feedback.aggregate(pipeline);
+    res.json({ success: true, groupBy, report: rows.map(withNps) });
+  } catch (err) {
+    console.error('NPS report error:', err);
+    sendError(res, 500, 'Failed to build NPS report');
+  }
+});
+
+app.get('/api/admin/feedback/ratings', authenticate, requireAdmin, validate(schemas.feedback.ratingsReport), async (req, res) => {
+  try {
+    const formats = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+    const { interval } = req.query;
+
+    const range = dateRange(req.query.from, req.query.to);
+
+    const match = range ? { createdAt: range } : {};
+    if (req.query.destination) match.destination = req.query.destination;
+
+    const rows = await Feedback.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $dateToString: { format: formats[interval], date: '$createdAt', timezone: req.query.tz } },
+          responses: { $sum: 1 },
+          rating: { $avg: '$rating' },
+          hotel: { $avg: '$componentRatings.hotel' },
+          transport: { $avg: '$componentRatings.transport' },
+          guide: { $avg: '$componentRatings.guide' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      interval,
+      series: rows.map(({ _id, ...row }) => ({ period: _id, ...row }))
+    });
+  } catch (err) {
+    console.error('Ratings report error:', err);
+    sendError(res, 500, 'Failed to build ratings report');
+  }
+});
+
+// === Chatbot Routes ===
+const CHATBOT_INSTRUCTIONS = `You are a helpful and knowledgeable tourist assistant for India and international travel. 
+    Answer the user's questions about travel, tourism, places, packages, or any travel-related topic.
+    Provide detailed, helpful information with practical tips, and use the earlier conversation for context on follow-up questions.
+    
+    Where relevant, provide a comprehensive answer with:
+    - Specific recommendations
+    - Practical tips
+    - Best time to visit (if applicable)
+    - Budget considerations (if applicable)
+    - Local insights`;
+
+const CHATBOT_CATALOG_INSTRUCTIONS = `The user is asking about the following entry from our own catalog.
+    Use these facts for prices, durations, seasons and inclusions instead of guessing, and mention the ID if they want to book it.`;
+
+const CHATBOT_HISTORY_TOKENS = parseInt(process.env.CHATBOT_HISTORY_TOKENS, 10) || 4000;
+
+// Chat model backend: gemini (default), openai (any compatible endpoint) or stub (offline)
+const llm = getProvider();
+
+// === Chatbot Tools ===
+// Functions the assistant may call for signed-in users; every lookup is scoped to req.user
+const CHATBOT_TOOL_INSTRUCTIONS = `The user is signed in. When they ask about their own trips, bookings, hotel check-in,
+    cancellations or refunds, use the provided tools to look the facts up instead of guessing.
+    Only open a cancellation request when the user has clearly asked to cancel a specific booking.`;
+
+const CHATBOT_TOOLS = [{
+  functionDeclarations: [
+    {
+      name: 'list_my_bookings',
+      description: "List the signed-in user's bookings with destination, dates and payment status.",
+      parameters: { type: 'OBJECT', properties: {} }
+    },
+    {
+      name: 'get_booking_details',
+      description: 'Get full details of one of the user\'s bookings, including flight, hotel, car, train and bus segments.',
+      parameters: {
+        type: 'OBJECT',
+        properties: { bookingId: { type: 'STRING', description: 'The booking ID, e.g. BK1700000000123' } },
+        required: ['bookingId']
+      }
+    },
+    {
+      name: 'get_cancellation_status',
+      description: 'Check the cancellation request and refund status of one of the user\'s bookings.',
+      parameters: {
+        type: 'OBJECT',
+        properties: { bookingId: { type: 'STRING' } },
+        required: ['bookingId']
+      }
+    },
+    {
+      name: 'request_cancellation',
+      description: 'Open a cancellation request for one of the user\'s bookings. Returns the refund amount the policy allows.',
+      parameters: {
+        type: 'OBJECT',
+        properties: {
+          bookingId: { type: 'STRING' },
+          reason: { type: 'STRING', description: 'Why the user wants to cancel' }
+        },
+        required: ['bookingId']
+      }
+    }
+  ]
+}];
+
+const MAX_TOOL_ROUNDS = 4;
+
+const bookingSummary = (booking) => ({
+  bookingId: booking.bookingId,
+  destination: booking.destination,
+  packageId: booking.packageId,
+  startDate: booking.startDate,
+  endDate: booking.endDate,
+  packageType: booking.packageType,
+  travelers: booking.travelers,
+  paymentStatus: booking.payment?.status,
+  amountPaid: booking.payment?.amount
+});
+
+const chatbotToolHandlers = {
+  async list_my_bookings(user) {
+    const bookings = await Booking.find({ userId: user.id }).sort({ createdAt: -1 }).limit(20);
+    return { bookings: bookings.map(bookingSummary) };
+  },
+
+  async get_booking_details(user, { bookingId }) {
+    const booking = await Booking.findOne({ bookingId, userId: user.id });
+    if (!booking) return { error: 'No booking with that ID was found on this account' };
+    const { flightData, hotelData, carData, trainData, busData, addons, travelerInfo, cancellationDetails } = booking;
+    return {
+      ...bookingSummary(booking),
+      travelerNames: travelerInfo?.travelerNames,
+      addons,
+      flightData,
+      hotelData,
+      carData,
+      trainData,
+      busData,
+      cancellationDetails
+    };
+  },
+
+  async get_cancellation_status(user, { bookingId }) {
+    const booking = await Booking.findOne({ bookingId, userId: user.id });
+    if (!booking) return { error: 'No booking with that ID was found on this account' };
+    const request = await CancellationRequest.findOne({ booking: booking._id }).sort({ createdAt: -1 });
+    return {
+      bookingId,
+      paymentStatus: booking.payment?.status,
+      cancellationRequest: request && {
+        status: request.status,
+        requestedAt: request.createdAt,
+        approvedAt: request.approvedAt,
+        refundedAt: request.refundedAt,
+        rejectedAt: request.rejectedAt,
+        note: request.adminNote
+      },
+      refund: booking.cancellationDetails?.refundId || booking.cancellationDetails?.refundStatus
+        ? booking.cancellationDetails
+        : null
+    };
+  },
+
+  async request_cancellation(user, { bookingId, reason }) {
+    const booking = await Booking.findOne({ bookingId, userId: user.id });
+    if (!booking) return { error: 'No booking with that ID was found on this account' };
+    if (booking.payment?.status !== 'paid') return { error: `Booking cannot be cancelled while it is ${booking.payment?.status}` };
+
+    let quote = null;
+    try {
+      quote = quoteRefund(booking);
+    } catch (err) {
+      // Still allow the request; an agent will work out the refund
+    }
+
+    const request = await openCancellationRequest(booking, { reason: reason || 'Requested via chat assistant' });
+    if (!request) return { error: 'A cancellation request is already open for this booking' };
+
+    return {
+      requestId: request._id,
+      status: request.status,
+      estimatedRefund: quote?.refundableAmount,
+      refundRule: quote?.rule
+    };
+  }
+};
+
+async function runChatbotTool(user, { name, args }) {
+  const handler = chatbotToolHandlers[name];
+  if (!handler) return { error: `Unknown tool ${name}` };
+  try {
+    return await handler(user, args || {});
+  } catch (err) {
+    console.error(`Chatbot tool ${name} error:`, err);
+    return { error: 'The lookup failed, please try again later' };
+  }
+}
+
+// Feed tool results back to the model as the next user turn
+const toolResponseContent = (calls, results) => ({
+  role: 'user',
+  parts: calls.map((call, i) => ({
+    functionResponse: { ...(call.id && { id: call.id }), name: call.name, response: results[i] }
+  }))
+});
+
+// Call the model, executing any function calls it makes and feeding results back until it answers in text
+async function generateChatbotAnswer(contents, user) {
+  for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+    const tools = user && round < MAX_TOOL_ROUNDS ? CHATBOT_TOOLS : undefined;
+    const { parts } = await llm.generate({ contents, tools });
+
+    const calls = parts.filter(part => part.functionCall).map(part => part.functionCall);
+    if (!calls.length) {
+      return parts.map(part => part.text).filter(Boolean).join('');
+    }
+
+    const results = await Promise.all(calls.map(call => runChatbotTool(user, call)));
+    contents.push({ role: 'model', parts }, toolResponseContent(calls, results));
+  }
+
+  return '';
+}
+
+// Resolve the conversation a chatbot request belongs to and build the Gemini contents for it.
+// Sends the error response itself and returns null when the request can't proceed.
+async function prepareChatbotRequest(req, res) {
+  const { question, conversationId } = req.body;
+
+  // Conversations are only persisted for signed-in users
+  let conversation = null;
+  if (conversationId) {
+    if (!req.user) {
+      sendError(res, 401, 'Authentication required');
+      return null;
+    }
+    conversation = await Conversation.findOne({ _id: conversationId, userId: req.user.id });
+    if (!conversation) {
+      sendError(res, 404, 'Conversation not found');
+      return null;
+    }
+  } else if (req.user) {
+    conversation = new Conversation({ userId: req.user.id, title: question.trim().slice(0, 60) });
+  }
+
+  // Catalog entries named in the request replace the ones the conversation was about
+  const destinationId = req.body.destinationId || conversation?.destinationId;
+  const packageId = req.body.packageId || conversation?.packageId;
+  const pkg = packageId ? await catalog.findActivePackage(packageId) : null;
+  const destination = pkg ? pkg.destination : destinationId ? await Destination.findOne({ _id: destinationId, active: true }) : null;
+  if (req.body.packageId && !pkg) {
+    sendError(res, 404, 'Package not found');
+    return null;
+  }
+  if (req.body.destinationId && !destination) {
+    sendError(res, 404, 'Destination not found');
+    return null;
+  }
+  if (conversation) {
+    conversation.destinationId = destination?._id;
+    conversation.packageId = pkg?._id;
+  }
+
+  let instructions = req.user ? `${CHATBOT_INSTRUCTIONS}\n\n    ${CHATBOT_TOOL_INSTRUCTIONS}` : CHATBOT_INSTRUCTIONS;
+  if (destination) {
+    instructions += `\n\n    ${CHATBOT_CATALOG_INSTRUCTIONS}\n    ${catalog.describeForPrompt({ destination, pkg })}`;
+  }
+
+  const { contents } = buildContents({
+    instructions,
+    history: conversation ? conversation.messages : [],
+    question,
+    budget: CHATBOT_HISTORY_TOKENS
+  });
+
+  return { question, conversation, contents };
+}
+
+app.post('/api/chatbot', optionalAuth, rateLimit('chatbot'), validate(schemas.chatbot.ask), async (req, res) => {
+  try {
+    const prepared = await prepareChatbotRequest(req, res);
+    if (!prepared) return;
+    const { question, conversation, contents } = prepared;
+
+    const answer = await generateChatbotAnswer(contents, req.user) || 'Sorry, I could not generate an answer at the moment.';
+
+    if (conversation) {
+      conversation.messages.push({ role: 'user', text: question }, { role: 'model', text: answer });
+      await conversation.save();
+    }
+    
+    res.json({ 
+      success: true, 
+      answer: answer,
+      conversationId: conversation?._id,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Chatbot API Error:', error.response?.data || error.message);
+    sendError(res, 500, 'Failed to get response from AI assistant');
+  }
+});
+
+// Streaming variant: relays Gemini's partial text as SSE `delta` events, then a `done` event with usage metadata
+app.post('/api/chatbot/stream', optionalAuth, rateLimit('chatbot'), validate(schemas.chatbot.ask), async (req, res) => {
+  let prepared;
+  try {
+    prepared = await prepareChatbotRequest(req, res);
+  } catch (error) {
+    return sendError(res, 500, 'Failed to get response from AI assistant');
+  }
+  if (!prepared) return;
+  const { question, conversation, contents } = prepared;
+
+  // Stop talking to Gemini as soon as the browser goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  openSse(res);
+
+  try {
+    let answer = '';
+    let usage = null;
+    let finishReason = null;
+
+    for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+      const tools = req.user && round < MAX_TOOL_ROUNDS ? CHATBOT_TOOLS : undefined;
+
+      const calls = [];
+      const modelParts = [];
+      for await (const chunk of llm.stream({ contents, tools, signal: controller.signal })) {
+        for (const part of chunk.parts) {
+          modelParts.push(part);
+          if (part.functionCall) calls.push(part.functionCall);
+          if (part.text) {
+            answer += part.text;
+            writeSse(res, 'delta', { text: part.text });
+          }
+        }
+        if (chunk.finishReason) finishReason = chunk.finishReason;
+        if (chunk.usage) usage = chunk.usage;
+      }
+
+      if (!calls.length) break;
+
+      writeSse(res, 'tool', { names: calls.map(call => call.name) });
+      const results = await Promise.all(calls.map(call => runChatbotTool(req.user, call)));
+      contents.push({ role: 'model', parts: modelParts }, toolResponseContent(calls, results));
+    }
+
+    if (conversation && answer) {
+      conversation.messages.push({ role: 'user', text: question }, { role: 'model', text: answer });
+      await conversation.save();
+    }
+
+    writeSse(res, 'done', {
+      conversationId: conversation?._id,
+      finishReason,
+      usage,
+      timestamp: new Date().toISOString()
+    });
+    res.end();
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error('Chatbot stream error:', error.response?.status || error.message);
+    writeSse(res, 'error', { error: 'Failed to get response from AI assistant' });
+    res.end();
+  }
+});
+
+app.get('/api/chatbot/conversations', authenticate, async (req, res) => {
+  try {
+    const conversations = await Conversation.aggregate([
+      { $match: { userId: req.user.id } },
+      { $sort: { updatedAt: -1 } },
+      {
+        $project: {
+          title: 1,
+          createdAt: 1,
+          updatedAt: 1,
+          messageCount: { $size: '$messages' },
+          lastMessage: { $arrayElemAt: ['$messages.text', -1] }
+        }
+      }
+    ]);
+    res.json({ success: true, conversations });
+  } catch (error) {
+    sendError(res, 500, 'Failed to fetch conversations');
+  }
+});
+
+app.get('/api/chatbot/conversations/:id', authenticate, validate(schemas.chatbot.conversation), async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!conversation) return sendError(res, 404, 'Conversation not found');
+    res.json({ success: true, conversation });
+  } catch (error) {
+    sendError(res, 500, 'Failed to fetch conversation');
+  }
+});
+
+app.delete('/api/chatbot/conversations/:id', authenticate, validate(schemas.chatbot.conversation), async (req, res) => {
+  try {
+    const result = await Conversation.deleteOne({ _id: req.params.id, userId: req.user.id });
+    if (!result.deletedCount) return sendError(res, 404, 'Conversation not found');
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, 500, 'Failed to delete conversation');
+  }
+});
+
+// === Admin Console ===
+const PAID_STATUSES = ['paid', 'refunding', 'cancelled', 'refunded'];
+const CANCELLED_STATUSES = ['cancelled', 'refunded'];
+
+// Shared filter for admin booking queries built from the query string
+function buildBookingFilter(query) {
+  const filter = {};
+  const dateField = query.dateField === 'startDate' ? 'startDate' : 'createdAt';
+
+  const range = dateRange(query.from, query.to);
+  if (range) filter[dateField] = range;
+
+  if (query.destination) filter.destination = new RegExp(escapeRegex(query.destination), 'i');
+  if (query.paymentStatus) filter['payment.status'] = query.paymentStatus;
+  if (query.email) filter['travelerInfo.email'] = new RegExp(`^${escapeRegex(query.email)}$`, 'i');
+  if (query.bookingId) filter.bookingId = query.bookingId;
+
+  return filter;
+}
+
+app.get('/api/admin/bookings', authenticate, requireAdmin, validate(schemas.admin.listBookings), async (req, res) => {
+  try {
+    const filter = buildBookingFilter(req.query);
+
+    const { items, nextCursor } = await paginate(Booking, filter, {
+      cursor: req.query.cursor,
+      limit: req.query.limit
+    });
+
+    res.json({ success: true, bookings: items, nextCursor });
+  } catch (error) {
+    console.error('Admin bookings error:', error);
+    sendError(res, 500, 'Failed to fetch bookings');
+  }
+});
+
+app.get('/api/admin/reports/revenue', authenticate, requireAdmin, validate(schemas.admin.revenueReport), async (req, res) => {
+  try {
+    const { groupBy, tz: timezone } = req.query;
+
+    const filter = buildBookingFilter(req.query);
+    filter['payment.status'] = { $in: PAID_STATUSES };
+
+    const totals = {
+      bookings: { $sum: 1 },
+      gross: { $sum: '$payment.amount' },
+      refunded: { $sum: { $ifNull: ['$cancellationDetails.refundAmount', 0] } }
+    };
+
+    let pipeline;
+    if (groupBy === 'day') {
+      pipeline = [
+        { $match: filter },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone } }, ...totals } },
+        { $sort: { _id: 1 } }
+      ];
+    } else if (groupBy === 'destination') {
+      pipeline = [
+        { $match: filter },
+        { $group: { _id: { $ifNull: ['$destination', 'Unknown'] }, ...totals } },
+        { $sort: { gross: -1 } }
+      ];
+    } else if (groupBy === 'addon') {
+      // Per-component revenue comes from the price breakdown stored with each payment
+      pipeline = [
+        { $match: { ...filter, 'payment.breakdown': { $type: 'object' } } },
+        { $project: { components: { $objectToArray: '$payment.breakdown' } } },
+        { $unwind: '$components' },
+        { $group: { _id: '$components.k', bookings: { $sum: 1 }, gross: { $sum: '$components.v' } } },
+        { $sort: { gross: -1 } }
+      ];
+    }
+
+    const rows = await Booking.aggregate(pipeline);
+    const report = rows.map(({ _id, ...row }) => ({
+      key: _id,
+      ...row,
+      ...(row.refunded !== undefined && { net: row.gross - row.refunded })
+    }));
+
+    res.json({ success: true, groupBy, report });
+  } catch (error) {
+    console.error('Revenue report error:', error);
+    sendError(res, 500, 'Failed to build revenue report');
+  }
+});
+
+app.get('/api/admin/reports/cancellations', authenticate, requireAdmin, validate(schemas.admin.cancellationReport), async (req, res) => {
+  try {
+    const filter = buildBookingFilter(req.query);
+    filter['payment.status'] = { $in: PAID_STATUSES };
+
+    const [summary] = await Booking.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: null,
+          bookings: { $sum: 1 },
+          cancelled: { $sum: { $cond: [{ $in: ['$payment.status', CANCELLED_STATUSES] }, 1, 0] } },
+          refundTotal: { $sum: { $ifNull: ['$cancellationDetails.refundAmount', 0] } }
+        }
+      }
+    ]);
+
+    const refundsByStatus = await Booking.aggregate([
+      { $match: { ...filter, 'cancellationDetails.refundStatus': { $exists: true } } },
+      { $group: { _id: '$cancellationDetails.refundStatus', count: { $sum: 1 }, amount: { $sum: '$cancellationDetails.refundAmount' } } }
+    ]);
+
+    const requestRange = dateRange(req.query.from, req.query.to);
+    const requestsByStatus = await CancellationRequest.aggregate([
+      { $match: requestRange ? { createdAt: requestRange } : {} },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const bookings = summary?.bookings || 0;
+    const cancelled = summary?.cancelled || 0;
+
+    res.json({
+      success: true,
+      bookings,
+      cancelled,
+      cancellationRate: bookings ? cancelled / bookings : 0,
+      refundTotal: summary?.refundTotal || 0,
+      refundsByStatus: refundsByStatus.map(({ _id, ...row }) => ({ status: _id, ...row })),
+      requestsByStatus: Object.fromEntries(requestsByStatus.map(({ _id, count }) => [_id, count]))
+    });
+  } catch (error) {
+    console.error('Cancellation report error:', error);
+    sendError(res, 500, 'Failed to build cancellation report');
+  }
+});
+
+// === Email Delivery ===
+app.get('/api/admin/notifications', authenticate, requireAdmin, validate(schemas.admin.listNotifications), async (req, res) => {
+  try {
+    const filter = {};
+    ['bookingId', 'userId', 'contactId', 'status', 'template'].forEach(field => {
+      if (req.query[field]) filter[field] = req.query[field];
+    });
+
+    const { items, nextCursor } = await paginate(EmailOutbox, filter, {
+      cursor: req.query.cursor,
+      limit: req.query.limit,
+      select: '-html -attachments.content'
+    });
+
+    res.json({ success: true, notifications: items, nextCursor });
+  } catch (err) {
+    sendError(res, 500, 'Failed to fetch notifications');
+  }
+});
+
+app.post('/api/admin/notifications/:id/retry', authenticate, requireAdmin, validate(schemas.admin.retryNotification), async (req, res) => {
+  try {
+    const email = await notifications.retryEmail(req.params.id);
+    if (!email) return sendError(res, 404, 'No failed notification with that ID');
+    res.json({ success: true, notification: email });
+  } catch (err) {
+    sendError(res, 500, 'Failed to retry notification');
+  }
+});
+
+// === Contact Geo Insights ===
+app.get('/api/admin/contacts/near', authenticate, requireAdmin, validate(schemas.admin.nearbyContacts), async (req, res) => {
+  try {
+    const { lng, lat, radiusKm, limit } = req.query;
+    const point = { type: 'Point', coordinates: [lng, lat] };
+    const range = dateRange(req.query.from, req.query.to);
+
+    const contacts = await Contact.aggregate([
+      {
+        $geoNear: {
+          near: point,
+          distanceField: 'distanceKm',
+          distanceMultiplier: 0.001,
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query: range ? { createdAt: range } : {}
+        }
+      },
+      { $limit: limit },
+      { $project: { name: 1, email: 1, subject: 1, status: 1, location: 1, createdAt: 1, distanceKm: 1 } }
+    ]);
+
+    res.json({ success: true, count: contacts.length, contacts });
+  } catch (err) {
+    console.error('Nearby contacts error:', err);
+    sendError(res, 500, 'Failed to search contacts');
+  }
+});
+
+// Bucket enquiries into a lng/lat grid for a demand heatmap
+app.get('/api/admin/contacts/heatmap', authenticate, requireAdmin, validate(schemas.admin.contactHeatmap), async (req, res) => {
+  try {
+    const { cellSize } = req.query;
+
+    const range = dateRange(req.query.from, req.query.to);
+
+    const cellOf = (index) => ({
+      $multiply: [{ $floor: { $divide: [{ $arrayElemAt: ['$location.coordinates', index] }, cellSize] } }, cellSize]
+    });
+
+    const cells = await Contact.aggregate([
+      { $match: { 'location.coordinates.1': { $exists: true }, ...(range && { createdAt: range }) } },
+      { $group: { _id: { lng: cellOf(0), lat: cellOf(1) }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      cellSize,
+      cells: cells.map(({ _id, count }) => ({
+        // South-west corner and centre of each grid cell
+        sw: [_id.lng, _id.lat],
+        center: [_id.lng + cellSize / 2, _id.lat + cellSize / 2],
+        count
+      }))
+    });
+  } catch (err) {
+    console.error('Contact heatmap error:', err);
+    sendError(res, 500, 'Failed to build heatmap');
+  }
+});
+
+// === Fallthrough & Errors ===
+app.use('/api', notFound);
+app.use(errorHandler);
+
+// === Start Server ===
+// Refuse to start with a chat model that can't serve requests
+llm.validateModel()
+  .then(() => {
+    console.log(`✅ Chat model ready (${llm.name}: ${llm.model()})`);
+    app.listen(PORT, () => {
+      console.log(`🚀 Server running at http://localhost:${PORT}`);
+      notifications.startOutboxWorker();
+      startTripReminderJob();
+      startHoldSweepJob();
+    });
+  })
+  .catch(err => {
+    console.error('❌ Chat model check failed:', err.response?.data?.error?.message || err.message);
+    process.exit(1);
+  });
\ No newline at end of file
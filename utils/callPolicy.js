@@ -0,0 +1,42 @@
+// Time zones for the calling codes we serve; anything else falls back to DEFAULT_TIMEZONE.
+// Longest prefix wins, so list more specific codes as well where needed.
+const TIMEZONES_BY_PREFIX = {
+  '+91': 'Asia/Kolkata',
+  '+977': 'Asia/Kathmandu',
+  '+94': 'Asia/Colombo',
+  '+880': 'Asia/Dhaka',
+  '+971': 'Asia/Dubai',
+  '+65': 'Asia/Singapore',
+  '+66': 'Asia/Bangkok',
+  '+60': 'Asia/Kuala_Lumpur',
+  '+44': 'Europe/London',
+  '+33': 'Europe/Paris',
+  '+49': 'Europe/Berlin',
+  '+61': 'Australia/Sydney',
+  '+1': 'America/New_York'
+};
+
+function timezoneForNumber(e164) {
+  const prefix = Object.keys(TIMEZONES_BY_PREFIX)
+    .filter(code => e164.startsWith(code))
+    .sort((a, b) => b.length - a.length)[0];
+  return TIMEZONES_BY_PREFIX[prefix] || process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+}
+
+const localHour = (timeZone, now = new Date()) =>
+  parseInt(new Intl.DateTimeFormat('en-GB', { timeZone, hour: 'numeric', hourCycle: 'h23' }).format(now), 10);
+
+// Quiet hours wrap midnight by default: no calls from 21:00 to 09:00 recipient time
+function isQuietHours(timeZone, now = new Date()) {
+  const start = parseInt(process.env.CALL_QUIET_HOURS_START, 10);
+  const end = parseInt(process.env.CALL_QUIET_HOURS_END, 10);
+  const quietStart = Number.isNaN(start) ? 21 : start;
+  const quietEnd = Number.isNaN(end) ? 9 : end;
+  const hour = localHour(timeZone, now);
+
+  return quietStart > quietEnd
+    ? hour >= quietStart || hour < quietEnd
+    : hour >= quietStart && hour < quietEnd;
+}
+
+module.exports = { timezoneForNumber, isQuietHours, localHour };
@@ -0,0 +1,56 @@
+const Destination = require('../models/Destination');
+const Package = require('../models/Package');
+
+const slugify = (value) => String(value)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 80);
+
+// Keep Destination.fromPrice in step with its cheapest active package so price filters don't need a join
+async function refreshFromPrice(destinationId) {
+  const [cheapest] = await Package.find({ destination: destinationId, active: true })
+    .sort({ basePrice: 1 })
+    .limit(1)
+    .select('basePrice');
+
+  await Destination.updateOne(
+    { _id: destinationId },
+    cheapest ? { $set: { fromPrice: cheapest.basePrice } } : { $unset: { fromPrice: '' } }
+  );
+}
+
+// An active package together with its (active) destination, or null
+async function findActivePackage(id) {
+  const pkg = await Package.findOne({ _id: id, active: true }).populate('destination');
+  return pkg && pkg.destination?.active ? pkg : null;
+}
+
+// Match a spoken/typed place name against the catalog by slug, then by exact name
+function findDestinationByName(name) {
+  const slug = slugify(name);
+  return Destination.findOne({ active: true, $or: [{ slug }, { name }] })
+    .collation({ locale: 'en', strength: 2 });
+}
+
+// Plain-text facts about a catalog entry for the chatbot's system instructions
+function describeForPrompt({ destination, pkg }) {
+  const lines = [];
+  if (destination) {
+    lines.push(`Destination ${destination._id}: ${destination.name}${destination.region ? `, ${destination.region}` : ''}, ${destination.country}.`);
+    if (destination.description) lines.push(destination.description);
+    if (destination.highlights?.length) lines.push(`Highlights: ${destination.highlights.join(', ')}.`);
+    if (destination.seasons?.length) lines.push(`Best seasons to visit: ${destination.seasons.join(', ')}.`);
+  }
+  if (pkg) {
+    lines.push(`Package ${pkg._id}: ${pkg.name} (${pkg.packageType}), ${pkg.durationDays} days, ₹${pkg.basePrice} per traveler per day before tax.`);
+    if (pkg.description) lines.push(pkg.description);
+    if (pkg.includedAddons?.length) lines.push(`Included add-ons: ${pkg.includedAddons.join(', ')}.`);
+    if (pkg.seasons?.length) lines.push(`Runs in: ${pkg.seasons.join(', ')}.`);
+  }
+  return lines.join('\n    ');
+}
+
+module.exports = { slugify, refreshFromPrice, findActivePackage, findDestinationByName, describeForPrompt };
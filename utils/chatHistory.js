@@ -0,0 +1,28 @@
+// Rough token estimate (~4 characters per token) - good enough for budgeting history
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Build Gemini `contents` from stored messages plus the new question.
+// Keeps the most recent turns that fit in `budget` tokens, always starts on a user turn,
+// and puts the assistant instructions in front of the first user turn.
+function buildContents({ instructions, history = [], question, budget = 4000 }) {
+  let remaining = budget - estimateTokens(instructions) - estimateTokens(question);
+  const kept = [];
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(history[i].text);
+    if (cost > remaining) break;
+    remaining -= cost;
+    kept.unshift(history[i]);
+  }
+
+  // Gemini expects the conversation to open with a user turn
+  while (kept.length && kept[0].role !== 'user') kept.shift();
+
+  const contents = kept.map(({ role, text }) => ({ role, parts: [{ text }] }));
+  contents.push({ role: 'user', parts: [{ text: question }] });
+  contents[0].parts.unshift({ text: instructions });
+
+  return { contents, turnsIncluded: kept.length };
+}
+
+module.exports = { estimateTokens, buildContents };
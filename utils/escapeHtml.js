@@ -0,0 +1,13 @@
+const entities = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+// Escape a user-supplied value before interpolating it into HTML
+const escapeHtml = (value) =>
+  value === undefined || value === null ? '' : String(value).replace(/[&<>"']/g, ch => entities[ch]);
+
+module.exports = escapeHtml;
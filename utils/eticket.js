@@ -0,0 +1,59 @@
+const PDFDocument = require('pdfkit');
+
+// Standard PDF fonts only cover Latin-1, so amounts are written as "INR"
+const formatAmount = (amount) => `INR ${Number(amount || 0).toLocaleString('en-IN')}`;
+const formatDay = (date) => (date ? new Date(date).toDateString() : 'To be confirmed');
+
+// Render the e-ticket/itinerary PDF for a booking and resolve with its bytes
+function buildETicket(booking, segments) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `E-Ticket ${booking.bookingId}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const heading = (text) => {
+      doc.moveDown(0.8).font('Helvetica-Bold').fontSize(13).fillColor('#2c3e50').text(text);
+      doc.moveDown(0.3).font('Helvetica').fontSize(10).fillColor('#000000');
+    };
+    const row = (label, value) => {
+      doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value ?? '-'));
+    };
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#2c3e50').text('E-Ticket & Itinerary', { align: 'center' });
+    doc.moveDown(0.2).font('Helvetica').fontSize(10).fillColor('#7f8c8d').text(`Booking ID: ${booking.bookingId}`, { align: 'center' });
+    doc.fillColor('#000000');
+
+    heading('Trip');
+    row('Destination', booking.destination || '-');
+    row('Dates', `${formatDay(booking.startDate)} - ${formatDay(booking.endDate || booking.startDate)}`);
+    if (booking.packageType) row('Package', booking.packageType);
+    row('Amount Paid', formatAmount(booking.payment?.amount));
+    row('Payment Status', booking.payment?.status || '-');
+    if (booking.payment?.razorpayPaymentId) row('Payment ID', booking.payment.razorpayPaymentId);
+
+    heading('Travelers');
+    const lead = booking.travelerInfo || {};
+    row('Lead Traveler', lead.name);
+    row('Contact', [lead.email, lead.phone].filter(Boolean).join(' / '));
+    const names = lead.travelerNames || [];
+    if (names.length) {
+      doc.list(names, { bulletRadius: 2, textIndent: 12 });
+    }
+
+    segments.forEach(segment => {
+      heading(segment.title);
+      if (segment.start) row('Starts', new Date(segment.start).toUTCString());
+      if (segment.end) row('Ends', new Date(segment.end).toUTCString());
+      segment.details.forEach(({ label, value }) => row(label, value));
+    });
+
+    doc.moveDown(2).fontSize(8).fillColor('#7f8c8d')
+      .text('Please carry a valid photo ID along with this e-ticket. This is a computer generated document.', { align: 'center' });
+
+    doc.end();
+  });
+}
+
+module.exports = { buildETicket };
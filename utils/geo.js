@@ -0,0 +1,16 @@
+// GeoJSON positions are [longitude, latitude]
+function isValidLngLat(coordinates) {
+  if (!Array.isArray(coordinates) || coordinates.length !== 2) return false;
+  const [lng, lat] = coordinates;
+  return Number.isFinite(lng) && Number.isFinite(lat)
+    && lng >= -180 && lng <= 180
+    && lat >= -90 && lat <= 90;
+}
+
+// Parse lng/lat query parameters into a GeoJSON point, or null if invalid
+function parsePoint(lng, lat) {
+  const coordinates = [parseFloat(lng), parseFloat(lat)];
+  return isValidLngLat(coordinates) ? { type: 'Point', coordinates } : null;
+}
+
+module.exports = { isValidLngLat, parsePoint };
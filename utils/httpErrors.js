@@ -0,0 +1,26 @@
+// Every error response has the same envelope:
+//   { success: false, error: { code, message, fields } }
+// `fields` maps request paths (e.g. "body.email") to what is wrong with them; it is empty otherwise.
+const DEFAULT_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  422: 'unprocessable',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'upstream_error'
+};
+
+// `extra` is merged into the top level of the body for context such as { retryAfter }
+function sendError(res, status, message, { code, fields = {}, extra } = {}) {
+  return res.status(status).json({
+    success: false,
+    error: { code: code || DEFAULT_CODES[status] || 'error', message, fields },
+    ...extra
+  });
+}
+
+module.exports = { sendError, DEFAULT_CODES };
@@ -0,0 +1,93 @@
+// Minimal RFC 5545 calendar writer for booking itineraries
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// 20261201T060000Z
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+// 20261201
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function fold(line) {
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function eventLines({ uid, summary, description, location, start, end, allDay }) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDateTime(new Date())}`
+  ];
+  if (allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`, `DTEND;VALUE=DATE:${formatDate(end)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(start)}`, `DTEND:${formatDateTime(end)}`);
+  }
+  lines.push(`SUMMARY:${escapeText(summary)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// One all-day event for the whole trip plus one event per dated segment
+function buildBookingCalendar(booking, segments) {
+  const events = [];
+  const host = 'tourit';
+
+  if (booking.startDate) {
+    const start = new Date(booking.startDate);
+    // DTEND is exclusive for all-day events
+    const end = new Date((booking.endDate ? new Date(booking.endDate) : start).getTime() + DAY_MS);
+    events.push(eventLines({
+      uid: `${booking.bookingId}-trip@${host}`,
+      summary: `Trip to ${booking.destination || 'your destination'}`,
+      description: `Booking ${booking.bookingId}`,
+      location: booking.destination,
+      start,
+      end,
+      allDay: true
+    }));
+  }
+
+  segments.filter(segment => segment.start).forEach((segment, i) => {
+    events.push(eventLines({
+      uid: `${booking.bookingId}-${segment.type}-${i}@${host}`,
+      summary: segment.title,
+      description: segment.details.map(({ label, value }) => `${label}: ${value}`).join('\n'),
+      location: segment.location,
+      start: segment.start,
+      end: segment.end && segment.end > segment.start ? segment.end : new Date(segment.start.getTime() + HOUR_MS)
+    }));
+  });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Tourit//Booking Itinerary//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildBookingCalendar };
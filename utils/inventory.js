@@ -0,0 +1,219 @@
+const Inventory = require('../models/Inventory');
+const Package = require('../models/Package');
+
+// How long seats stay reserved between creating the payment order and confirming the booking
+const HOLD_MINUTES = parseInt(process.env.INVENTORY_HOLD_MINUTES, 10) || 15;
+// Seats one user may hold across all departures at once, so a single account can't keep dates full
+const MAX_HELD_SEATS = parseInt(process.env.INVENTORY_MAX_HELD_SEATS, 10) || 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Departures are whole UTC days
+const toInventoryDate = (value) => {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const hasLimit = (pkg) => pkg.capacityPerDate !== undefined && pkg.capacityPerDate !== null;
+
+// Aggregation expressions evaluated inside the update, so the capacity check and the write are one atomic step.
+// Holds that have expired, and optionally the caller's own hold, are left out.
+const liveHolds = (now, exceptRef = null) => ({
+  $filter: {
+    input: { $ifNull: ['$holds', []] },
+    cond: { $and: [{ $gt: ['$$this.expiresAt', now] }, { $ne: ['$$this.ref', exceptRef] }] }
+  }
+});
+const heldSeats = (now, exceptRef) => ({ $sum: { $map: { input: liveHolds(now, exceptRef), in: '$$this.seats' } } });
+const fits = (seats, now, exceptRef) => ({
+  $or: [
+    { $eq: [{ $ifNull: ['$capacity', null] }, null] },
+    { $lte: [{ $add: ['$booked', heldSeats(now, exceptRef), seats] }, '$capacity'] }
+  ]
+});
+
+// Make sure the day has an inventory row; false when the package has no capacity limit for it
+async function ensureInventory(pkg, date) {
+  if (await Inventory.exists({ package: pkg._id, date })) return true;
+  if (!hasLimit(pkg)) return false;
+  try {
+    await Inventory.create({ package: pkg._id, date, capacity: pkg.capacityPerDate });
+  } catch (err) {
+    if (err.code !== 11000) throw err; // created by a concurrent request
+  }
+  return true;
+}
+
+// Seat counts for one day as shown on the calendar; capacity null means unlimited
+function describeDay(date, inventory, pkg, now = new Date()) {
+  if (!inventory) {
+    const capacity = hasLimit(pkg) ? pkg.capacityPerDate : null;
+    return { date: formatDate(date), capacity, booked: 0, held: 0, available: capacity, closed: false };
+  }
+
+  const held = inventory.holds
+    .filter(hold => hold.expiresAt > now)
+    .reduce((sum, hold) => sum + hold.seats, 0);
+  const unlimited = inventory.capacity === undefined || inventory.capacity === null;
+  let available = unlimited ? null : Math.max(inventory.capacity - inventory.booked - held, 0);
+  if (inventory.closed) available = 0;
+  return {
+    date: formatDate(date),
+    capacity: unlimited ? null : inventory.capacity,
+    booked: inventory.booked,
+    held,
+    available,
+    closed: inventory.closed
+  };
+}
+
+// Live seats `owner` holds anywhere, not counting the hold under `exceptRef`
+async function seatsHeldBy(owner, exceptRef, now = new Date()) {
+  const [result] = await Inventory.aggregate([
+    { $match: { 'holds.owner': owner } },
+    { $unwind: '$holds' },
+    { $match: { 'holds.owner': owner, 'holds.expiresAt': { $gt: now }, 'holds.ref': { $ne: exceptRef } } },
+    { $group: { _id: null, seats: { $sum: '$holds.seats' } } }
+  ]);
+  return result ? result.seats : 0;
+}
+
+// Reserve seats for a booking while `owner` (a user ID) pays for it; holding again under the same ref
+// replaces the old hold. Returns { ok, expiresAt } or { ok: false, reason: 'sold_out' | 'closed' | 'hold_limit', available }
+async function holdSeats(pkg, startDate, seats, ref, owner) {
+  const date = toInventoryDate(startDate);
+  if (!await ensureInventory(pkg, date)) return { ok: true, expiresAt: null };
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + HOLD_MINUTES * 60 * 1000);
+
+  const alreadyHeld = await seatsHeldBy(owner, ref, now);
+  if (alreadyHeld + seats > MAX_HELD_SEATS) {
+    return { ok: false, reason: 'hold_limit', available: Math.max(MAX_HELD_SEATS - alreadyHeld, 0) };
+  }
+
+  const held = await Inventory.findOneAndUpdate(
+    { package: pkg._id, date, closed: false, $expr: fits(seats, now, ref) },
+    [{ $set: { holds: { $concatArrays: [liveHolds(now, ref), { $literal: [{ ref, seats, expiresAt, owner }] }] } } }],
+    { new: true }
+  );
+  if (held) return { ok: true, expiresAt };
+
+  const day = describeDay(date, await Inventory.findOne({ package: pkg._id, date }), pkg, now);
+  return { ok: false, reason: day.closed ? 'closed' : 'sold_out', available: day.available };
+}
+
+// Turn a booking's hold into booked seats. Still succeeds after the hold expired if the seats are free.
+async function confirmSeats(packageId, startDate, seats, ref) {
+  const pkg = await Package.findById(packageId);
+  const date = toInventoryDate(startDate);
+  if (!pkg || !await ensureInventory(pkg, date)) return { ok: true };
+
+  const now = new Date();
+  const confirmed = await Inventory.findOneAndUpdate(
+    { package: pkg._id, date, $expr: fits(seats, now, ref) },
+    [{ $set: { booked: { $add: ['$booked', seats] }, holds: liveHolds(now, ref) } }],
+    { new: true }
+  );
+  return confirmed ? { ok: true } : { ok: false, reason: 'sold_out' };
+}
+
+// Give up a hold early, e.g. when the payment order could not be created
+function releaseHold(packageId, startDate, ref) {
+  return Inventory.updateOne(
+    { package: packageId, date: toInventoryDate(startDate) },
+    { $pull: { holds: { ref } } }
+  );
+}
+
+// Return confirmed seats to the pool when a booking is cancelled
+function releaseSeats(packageId, startDate, seats) {
+  return Inventory.updateOne(
+    { package: packageId, date: toInventoryDate(startDate) },
+    [{ $set: { booked: { $max: [0, { $subtract: ['$booked', seats] }] } } }]
+  );
+}
+
+// Expired holds already stop counting; this just keeps the arrays short
+function sweepExpiredHolds(now = new Date()) {
+  return Inventory.updateMany(
+    { 'holds.expiresAt': { $lte: now } },
+    { $pull: { holds: { expiresAt: { $lte: now } } } }
+  );
+}
+
+function eachDay(from, to) {
+  const days = [];
+  for (let day = toInventoryDate(from); day <= to; day = new Date(day.getTime() + DAY_MS)) days.push(day);
+  return days;
+}
+
+async function availabilityCalendar(pkg, from, to) {
+  const start = toInventoryDate(from);
+  const end = toInventoryDate(to);
+  const rows = await Inventory.find({ package: pkg._id, date: { $gte: start, $lte: end } });
+  const byDate = new Map(rows.map(row => [row.date.getTime(), row]));
+
+  const now = new Date();
+  return eachDay(start, end).map(day => describeDay(day, byDate.get(day.getTime()), pkg, now));
+}
+
+// The capacity a row gets when it follows the package; unset for unlimited packages
+const packageCapacity = (pkg) => (hasLimit(pkg) ? { $set: { capacity: pkg.capacityPerDate } } : { $unset: { capacity: 1 } });
+
+// Admin override for a date range: new capacity and/or open/closed. Days without a row get one.
+// capacity null drops the override so the days follow Package.capacityPerDate again.
+async function setCapacity(pkg, { from, to, capacity, closed }) {
+  const update = { $set: {} };
+  if (capacity === null) {
+    Object.assign(update.$set, packageCapacity(pkg).$set, { capacityOverride: false });
+    if (!hasLimit(pkg)) update.$unset = { capacity: 1 };
+  } else if (capacity !== undefined) {
+    Object.assign(update.$set, { capacity, capacityOverride: true });
+  } else if (hasLimit(pkg)) {
+    update.$setOnInsert = { capacity: pkg.capacityPerDate };
+  }
+  if (closed !== undefined) update.$set.closed = closed;
+
+  const start = toInventoryDate(from);
+  const end = toInventoryDate(to);
+  const days = eachDay(start, end);
+  await Inventory.bulkWrite(days.map(date => ({
+    updateOne: { filter: { package: pkg._id, date }, update, upsert: true }
+  })));
+  await dropUnusedRows(pkg, { date: { $gte: start, $lte: end } });
+  return days.length;
+}
+
+// Open rows that follow the package and hold no seats add nothing, so they go; ensureInventory
+// recreates them from the package when needed
+function dropUnusedRows(pkg, filter = {}, now = new Date()) {
+  return Inventory.deleteMany({
+    ...filter,
+    package: pkg._id,
+    closed: false,
+    capacityOverride: { $ne: true },
+    booked: 0,
+    'holds.expiresAt': { $not: { $gt: now } }
+  });
+}
+
+// Called when Package.capacityPerDate changes: every row without an admin override takes the new capacity
+async function syncPackageCapacity(pkg) {
+  await Inventory.updateMany({ package: pkg._id, capacityOverride: { $ne: true } }, packageCapacity(pkg));
+  await dropUnusedRows(pkg);
+}
+
+module.exports = {
+  HOLD_MINUTES,
+  MAX_HELD_SEATS,
+  toInventoryDate,
+  holdSeats,
+  confirmSeats,
+  releaseHold,
+  releaseSeats,
+  sweepExpiredHolds,
+  availabilityCalendar,
+  setCapacity,
+  syncPackageCapacity
+};
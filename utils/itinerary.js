@@ -0,0 +1,61 @@
+// Normalise a booking's free-form *Data objects into itinerary segments for tickets and calendars
+const SEGMENT_TYPES = [
+  { key: 'flightData', type: 'flight', label: 'Flight' },
+  { key: 'hotelData', type: 'hotel', label: 'Hotel' },
+  { key: 'carData', type: 'car', label: 'Car Rental' },
+  { key: 'trainData', type: 'train', label: 'Train' },
+  { key: 'busData', type: 'bus', label: 'Bus' }
+];
+
+const START_KEYS = ['departure', 'departureTime', 'departureDate', 'checkIn', 'checkInDate', 'pickup', 'pickupDate', 'pickupTime', 'startDate', 'date'];
+const END_KEYS = ['arrival', 'arrivalTime', 'arrivalDate', 'checkOut', 'checkOutDate', 'dropoff', 'dropoffDate', 'dropoffTime', 'endDate'];
+const TITLE_KEYS = ['name', 'hotelName', 'airline', 'flightNumber', 'trainName', 'trainNumber', 'operator', 'model', 'carType', 'busType'];
+const LOCATION_KEYS = ['address', 'location', 'city', 'to', 'destination', 'pickupLocation'];
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+const firstOf = (data, keys) => keys.map(key => data[key]).find(value => value !== undefined && value !== null && value !== '');
+
+// "checkInDate" -> "Check In Date"
+const humanize = (key) => key
+  .replace(/([a-z])([A-Z])/g, '$1 $2')
+  .replace(/[_-]+/g, ' ')
+  .replace(/^./, ch => ch.toUpperCase());
+
+// Scalars, dates and arrays are shown on the ticket; nested objects are skipped
+const isPrintable = (value) => value instanceof Date || Array.isArray(value)
+  || (value !== null && value !== undefined && value !== '' && typeof value !== 'object');
+
+const formatValue = (value) => {
+  if (value instanceof Date) return value.toUTCString();
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+function bookingSegments(booking) {
+  return SEGMENT_TYPES
+    .filter(({ key }) => booking[key] && typeof booking[key] === 'object' && Object.keys(booking[key]).length)
+    .map(({ key, type, label }) => {
+      const data = booking[key];
+      const title = firstOf(data, TITLE_KEYS);
+      const route = data.from && data.to ? `${data.from} to ${data.to}` : null;
+      return {
+        type,
+        label,
+        title: [label, title, route].filter(Boolean).join(' - '),
+        start: toDate(firstOf(data, START_KEYS)),
+        end: toDate(firstOf(data, END_KEYS)),
+        location: firstOf(data, LOCATION_KEYS) || null,
+        details: Object.entries(data)
+          .filter(([, value]) => isPrintable(value))
+          .map(([field, value]) => ({ label: humanize(field), value: formatValue(value) }))
+      };
+    });
+}
+
+module.exports = { bookingSegments };
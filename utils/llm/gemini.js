@@ -0,0 +1,71 @@
+const axios = require('axios');
+const { readSseData } = require('../sse');
+
+// Google Gemini over the public REST API
+const GEMINI_API = 'https://generativelanguage.googleapis.com/v1';
+
+const apiKey = () => process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
+const model = () => process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+
+const toResult = (data) => {
+  const candidate = data.candidates?.[0];
+  return {
+    parts: candidate?.content?.parts || [],
+    finishReason: candidate?.finishReason || null,
+    usage: data.usageMetadata || null
+  };
+};
+
+async function generate({ contents, tools }) {
+  const { data } = await axios.post(
+    `${GEMINI_API}/models/${model()}:generateContent?key=${apiKey()}`,
+    { contents, ...(tools && { tools }) },
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+  return toResult(data);
+}
+
+async function* stream({ contents, tools, signal }) {
+  const response = await axios.post(
+    `${GEMINI_API}/models/${model()}:streamGenerateContent?alt=sse&key=${apiKey()}`,
+    { contents, ...(tools && { tools }) },
+    {
+      headers: { 'Content-Type': 'application/json' },
+      responseType: 'stream',
+      signal
+    }
+  );
+
+  for await (const chunk of readSseData(response.data)) {
+    yield toResult(chunk);
+  }
+}
+
+async function listModels() {
+  const { data } = await axios.get(`${GEMINI_API}/models?key=${apiKey()}`);
+  return (data.models || []).map(m => ({
+    name: m.name || m.model || 'unknown',
+    supported: m.supportedMethods || m.supported_methods || m.supportedGenerationMethods || []
+  }));
+}
+
+// Make sure the configured model exists and can serve generateContent
+async function validateModel() {
+  if (!apiKey()) {
+    throw new Error('Missing GEMINI_API_KEY (or GOOGLE_API_KEY) in environment.');
+  }
+
+  const models = await listModels();
+  const configured = model();
+  const match = models.find(m => m.name === configured || m.name === `models/${configured}`);
+
+  if (!match) {
+    throw new Error(`GEMINI_MODEL "${configured}" is not available for this API key. Run "node scripts/listModels.js" to see valid models.`);
+  }
+  if (!match.supported.includes('generateContent')) {
+    throw new Error(`GEMINI_MODEL "${configured}" does not support generateContent (supports: ${match.supported.join(', ') || 'nothing'}).`);
+  }
+  return match;
+}
+
+module.exports = { name: 'gemini', model, generate, stream, listModels, validateModel };
@@ -0,0 +1,20 @@
+// Chat model providers share one interface, using Gemini-style `contents`/`parts` throughout:
+//   generate({ contents, tools })          -> { parts, finishReason, usage }
+//   stream({ contents, tools, signal })    -> async iterable of { parts, finishReason, usage }
+//   listModels()                           -> [{ name, supported }]
+//   validateModel()                        -> rejects if the configured model can't be used
+const providers = {
+  gemini: require('./gemini'),
+  openai: require('./openai'),
+  stub: require('./stub')
+};
+
+function getProvider(name = process.env.LLM_PROVIDER || 'gemini') {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return provider;
+}
+
+module.exports = { getProvider, providers };
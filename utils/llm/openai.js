@@ -0,0 +1,146 @@
+const axios = require('axios');
+const { readSseData } = require('../sse');
+
+// Any OpenAI-compatible /chat/completions endpoint (OpenAI, Azure-style gateways, vLLM, Ollama, ...).
+// Requests and results are translated to and from the Gemini-style contents/parts the chatbot uses.
+const baseUrl = () => (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+const model = () => process.env.OPENAI_MODEL || 'gpt-4o-mini';
+const headers = () => ({
+  'Content-Type': 'application/json',
+  ...(process.env.OPENAI_API_KEY && { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` })
+});
+
+// Gemini schemas use upper-case type names ("OBJECT"); JSON Schema wants lower-case
+const toJsonSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [
+    key,
+    key === 'type' && typeof value === 'string' ? value.toLowerCase() : toJsonSchema(value)
+  ]));
+};
+
+const toTools = (tools) => (tools || [])
+  .flatMap(tool => tool.functionDeclarations || [])
+  .map(fn => ({
+    type: 'function',
+    function: { name: fn.name, description: fn.description, parameters: toJsonSchema(fn.parameters) }
+  }));
+
+function toMessages(contents) {
+  const messages = [];
+  let callCount = 0;
+  const pendingIds = [];
+
+  for (const { role, parts } of contents) {
+    const text = parts.filter(p => p.text).map(p => p.text).join('\n\n');
+    const calls = parts.filter(p => p.functionCall);
+    const responses = parts.filter(p => p.functionResponse);
+
+    if (calls.length) {
+      messages.push({
+        role: 'assistant',
+        content: text || null,
+        tool_calls: calls.map(({ functionCall }) => {
+          const id = functionCall.id || `call_${callCount++}`;
+          pendingIds.push(id);
+          return { id, type: 'function', function: { name: functionCall.name, arguments: JSON.stringify(functionCall.args || {}) } };
+        })
+      });
+    } else if (responses.length) {
+      responses.forEach(({ functionResponse }) => {
+        messages.push({
+          role: 'tool',
+          tool_call_id: functionResponse.id || pendingIds.shift(),
+          content: JSON.stringify(functionResponse.response)
+        });
+      });
+    } else {
+      messages.push({ role: role === 'model' ? 'assistant' : 'user', content: text });
+    }
+  }
+
+  return messages;
+}
+
+const parseArgs = (args) => {
+  try {
+    return args ? JSON.parse(args) : {};
+  } catch (err) {
+    return {};
+  }
+};
+
+const toUsage = (usage) => usage && {
+  promptTokenCount: usage.prompt_tokens,
+  candidatesTokenCount: usage.completion_tokens,
+  totalTokenCount: usage.total_tokens
+};
+
+const requestBody = ({ contents, tools }) => {
+  const openAiTools = toTools(tools);
+  return {
+    model: model(),
+    messages: toMessages(contents),
+    ...(openAiTools.length && { tools: openAiTools })
+  };
+};
+
+async function generate({ contents, tools }) {
+  const { data } = await axios.post(`${baseUrl()}/chat/completions`, requestBody({ contents, tools }), { headers: headers() });
+  const choice = data.choices?.[0];
+  const parts = [];
+  if (choice?.message?.content) parts.push({ text: choice.message.content });
+  (choice?.message?.tool_calls || []).forEach(call => {
+    parts.push({ functionCall: { id: call.id, name: call.function.name, args: parseArgs(call.function.arguments) } });
+  });
+  return { parts, finishReason: choice?.finish_reason || null, usage: toUsage(data.usage) };
+}
+
+async function* stream({ contents, tools, signal }) {
+  const response = await axios.post(
+    `${baseUrl()}/chat/completions`,
+    { ...requestBody({ contents, tools }), stream: true, stream_options: { include_usage: true } },
+    { headers: headers(), responseType: 'stream', signal }
+  );
+
+  // Tool call arguments arrive in fragments keyed by index; emit them once the stream ends
+  const calls = [];
+  let finishReason = null;
+  let usage = null;
+
+  for await (const chunk of readSseData(response.data)) {
+    const choice = chunk.choices?.[0];
+    if (choice?.delta?.content) {
+      yield { parts: [{ text: choice.delta.content }], finishReason: null, usage: null };
+    }
+    (choice?.delta?.tool_calls || []).forEach(delta => {
+      const call = calls[delta.index] || (calls[delta.index] = { id: delta.id, name: '', arguments: '' });
+      if (delta.id) call.id = delta.id;
+      if (delta.function?.name) call.name += delta.function.name;
+      if (delta.function?.arguments) call.arguments += delta.function.arguments;
+    });
+    if (choice?.finish_reason) finishReason = choice.finish_reason;
+    if (chunk.usage) usage = toUsage(chunk.usage);
+  }
+
+  yield {
+    parts: calls.filter(Boolean).map(call => ({ functionCall: { id: call.id, name: call.name, args: parseArgs(call.arguments) } })),
+    finishReason,
+    usage
+  };
+}
+
+async function listModels() {
+  const { data } = await axios.get(`${baseUrl()}/models`, { headers: headers() });
+  return (data.data || []).map(m => ({ name: m.id, supported: ['generateContent'] }));
+}
+
+async function validateModel() {
+  const models = await listModels();
+  if (!models.some(m => m.name === model())) {
+    throw new Error(`OPENAI_MODEL "${model()}" is not served by ${baseUrl()}.`);
+  }
+}
+
+module.exports = { name: 'openai', model, generate, stream, listModels, validateModel, toMessages, toTools };
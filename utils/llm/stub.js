@@ -0,0 +1,76 @@
+const { estimateTokens } = require('../chatHistory');
+
+// Deterministic offline provider for development and tests: no network, same input -> same output.
+// It answers by echoing the question, and exercises tool calling when tools are offered and the
+// question is about the user's own bookings or refunds.
+const textOf = (content) => (content?.parts || []).filter(p => p.text).map(p => p.text).join(' ');
+
+function decide({ contents, tools }) {
+  const last = contents[contents.length - 1];
+  const responses = (last?.parts || []).filter(p => p.functionResponse);
+
+  if (responses.length) {
+    const summary = responses
+      .map(({ functionResponse }) => `${functionResponse.name}: ${JSON.stringify(functionResponse.response)}`)
+      .join('\n');
+    return { parts: [{ text: `Here is what I found.\n${summary}` }] };
+  }
+
+  const question = (last?.parts || []).filter(p => p.text).pop()?.text || '';
+  const toolNames = (tools || []).flatMap(t => t.functionDeclarations || []).map(fn => fn.name);
+  const bookingId = (question.match(/\bBK\w+/i) || [])[0];
+
+  if (toolNames.length) {
+    if (/refund|cancel/i.test(question) && bookingId) {
+      return { parts: [{ functionCall: { name: 'get_cancellation_status', args: { bookingId } } }] };
+    }
+    if (/booking|trip|check-?in/i.test(question)) {
+      return bookingId
+        ? { parts: [{ functionCall: { name: 'get_booking_details', args: { bookingId } } }] }
+        : { parts: [{ functionCall: { name: 'list_my_bookings', args: {} } }] };
+    }
+  }
+
+  const earlierTurns = contents.length - 1;
+  return { parts: [{ text: `Stub answer to "${question}" (${earlierTurns} earlier turns in context).` }] };
+}
+
+const usageFor = (contents, parts) => {
+  const promptTokenCount = contents.reduce((sum, c) => sum + estimateTokens(textOf(c)), 0);
+  const candidatesTokenCount = estimateTokens(textOf({ parts }));
+  return { promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount };
+};
+
+async function generate({ contents, tools }) {
+  const { parts } = decide({ contents, tools });
+  return { parts, finishReason: 'STOP', usage: usageFor(contents, parts) };
+}
+
+async function* stream({ contents, tools, signal }) {
+  const { parts } = decide({ contents, tools });
+  const text = textOf({ parts });
+
+  if (!text) {
+    yield { parts, finishReason: 'STOP', usage: usageFor(contents, parts) };
+    return;
+  }
+
+  const words = text.split(/(?<=\s)/);
+  for (let i = 0; i < words.length; i++) {
+    if (signal?.aborted) return;
+    const done = i === words.length - 1;
+    yield {
+      parts: [{ text: words[i] }],
+      finishReason: done ? 'STOP' : null,
+      usage: done ? usageFor(contents, parts) : null
+    };
+  }
+}
+
+async function listModels() {
+  return [{ name: 'models/stub', supported: ['generateContent', 'streamGenerateContent'] }];
+}
+
+async function validateModel() {}
+
+module.exports = { name: 'stub', model: () => 'stub', generate, stream, listModels, validateModel };
@@ -0,0 +1,138 @@
+const EmailOutbox = require('../../models/EmailOutbox');
+const { SENSITIVE_TEMPLATES, REDACTED_HTML } = EmailOutbox;
+const { renderTemplate } = require('./templates');
+const { createTransport } = require('./transports');
+
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// A "sending" row older than this belongs to a worker that died mid-send
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+// Emails with a one-time code or link are deleted after this even if they were never delivered
+const SENSITIVE_TTL_MS = 24 * 60 * 60 * 1000;
+
+let transport = null;
+const getTransport = () => transport || (transport = createTransport());
+
+// Swap the delivery transport (e.g. the file transport in local testing)
+const setTransport = (next) => { transport = next; };
+
+const backoff = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+// Atomically take one due email so concurrent workers never send it twice
+function claimNext(filter = {}) {
+  const now = new Date();
+  return EmailOutbox.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lt: new Date(now - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { status: 'sending', lockedAt: now, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+async function attemptDelivery(email) {
+  try {
+    const { messageId } = await getTransport().send({
+      from: email.from,
+      to: email.to,
+      subject: email.subject,
+      html: email.html,
+      attachments: email.attachments.map(({ filename, contentType, content }) => ({ filename, contentType, content }))
+    });
+    email.status = 'sent';
+    email.sentAt = new Date();
+    email.messageId = messageId;
+    email.lastError = undefined;
+  } catch (err) {
+    email.lastError = err.message;
+    if (email.attempts >= email.maxAttempts) {
+      email.status = 'failed';
+    } else {
+      email.status = 'pending';
+      email.nextAttemptAt = new Date(Date.now() + backoff(email.attempts));
+    }
+    console.error(`Email ${email._id} (${email.template}) to ${email.to} failed on attempt ${email.attempts}:`, err.message);
+  }
+  if (email.sensitive && email.status !== 'pending') email.html = REDACTED_HTML;
+  email.lockedAt = undefined;
+  await email.save();
+  return email;
+}
+
+// Render a template into the outbox and try to deliver it straight away.
+// Resolves once the email is stored; delivery failures are retried by the worker.
+async function queueEmail({ template, data, to, from, attachments, bookingId, userId, contactId }) {
+  if (!to) return null;
+
+  const { subject, html } = renderTemplate(template, data);
+  const sensitive = SENSITIVE_TEMPLATES.includes(template);
+  const email = await EmailOutbox.create({
+    template,
+    from: from || process.env.GMAIL_USER,
+    to,
+    subject,
+    html,
+    attachments,
+    bookingId,
+    userId: userId && String(userId),
+    contactId: contactId && String(contactId),
+    sensitive,
+    deleteAt: sensitive ? new Date(Date.now() + SENSITIVE_TTL_MS) : undefined
+  });
+
+  claimNext({ _id: email._id })
+    .then(claimed => claimed && attemptDelivery(claimed))
+    .catch(err => console.error('Email outbox error:', err));
+
+  return email;
+}
+
+// Deliver every email that is due, up to `limit`
+async function processOutbox(limit = 50) {
+  let processed = 0;
+  while (processed < limit) {
+    const email = await claimNext();
+    if (!email) break;
+    await attemptDelivery(email);
+    processed++;
+  }
+  return processed;
+}
+
+// Put a failed email back in the queue for another round of attempts. Sensitive emails can't be
+// retried: their content is gone and the code or link has most likely expired anyway.
+function retryEmail(id) {
+  return EmailOutbox.findOneAndUpdate(
+    { _id: id, status: 'failed', sensitive: { $ne: true } },
+    { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: undefined },
+    { new: true }
+  );
+}
+
+function startOutboxWorker(intervalMs = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS, 10) || 30 * 1000) {
+  const active = getTransport();
+  active.verify()
+    .then(() => console.log(`✅ Mail transport "${active.name}" is ready to send messages`))
+    .catch(err => console.error(`❌ Mail transport "${active.name}" configuration error:`, err));
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processOutbox();
+    } catch (err) {
+      console.error('Email outbox worker error:', err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { queueEmail, processOutbox, retryEmail, startOutboxWorker, setTransport };
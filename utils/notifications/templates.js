@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+const escapeHtml = require('../escapeHtml');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', '..', 'templates', 'email');
+const cache = new Map();
+
+// Templates are HTML files whose first line is `<!-- subject: ... -->`.
+// {{name}} is HTML-escaped; {{{name}}} inserts a value verbatim and must only be used for
+// fragments built from already-escaped values.
+function loadTemplate(name) {
+  if (!cache.has(name)) {
+    const source = fs.readFileSync(path.join(TEMPLATE_DIR, `${name}.html`), 'utf8');
+    const match = source.match(/^<!--\s*subject:\s*(.*?)\s*-->\r?\n/);
+    if (!match) throw new Error(`Email template "${name}" has no subject line`);
+    cache.set(name, { subject: match[1], html: source.slice(match[0].length) });
+  }
+  return cache.get(name);
+}
+
+const interpolate = (template, data, escape) =>
+  template
+    .replace(/\{\{\{\s*(\w+)\s*\}\}\}/g, (_, key) => (data[key] ?? '').toString())
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => escape(data[key]));
+
+// Render a template to { subject, html }
+function renderTemplate(name, data = {}) {
+  const { subject, html } = loadTemplate(name);
+  return {
+    // Subjects are plain text; just keep them on one line
+    subject: interpolate(subject, data, value => (value ?? '').toString().replace(/[\r\n]+/g, ' ')),
+    html: interpolate(html, data, escapeHtml)
+  };
+}
+
+module.exports = { renderTemplate };
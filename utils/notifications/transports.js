@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Gmail over SMTP, as configured by GMAIL_USER / GMAIL_PASS
+function smtpTransport() {
+  const transporter = nodemailer.createTransport({
+    service: 'Gmail',
+    auth: {
+      user: process.env.GMAIL_USER,
+      pass: process.env.GMAIL_PASS
+    }
+  });
+
+  return {
+    name: 'smtp',
+    verify: () => transporter.verify(),
+    send: async (mail) => {
+      const info = await transporter.sendMail(mail);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+// Writes each message as a JSON file instead of sending it - for local development and tests
+function fileTransport(dir = process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox')) {
+  return {
+    name: 'file',
+    verify: async () => fs.promises.mkdir(dir, { recursive: true }),
+    send: async (mail) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+      const attachments = (mail.attachments || []).map(({ filename, contentType, content }) => ({
+        filename,
+        contentType,
+        size: content ? Buffer.byteLength(content) : 0
+      }));
+      await fs.promises.writeFile(
+        path.join(dir, `${messageId}.json`),
+        JSON.stringify({ ...mail, attachments, messageId }, null, 2)
+      );
+      return { messageId };
+    }
+  };
+}
+
+const transports = { smtp: smtpTransport, file: fileTransport };
+
+function createTransport(name = process.env.EMAIL_TRANSPORT || 'smtp') {
+  if (!transports[name]) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+  }
+  return transports[name]();
+}
+
+module.exports = { createTransport, smtpTransport, fileTransport };
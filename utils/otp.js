@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const OtpChallenge = require('../models/OtpChallenge');
+
+const OTP_LENGTH = 6;
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+const RESEND_COOLDOWN_MS = (parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS, 10) || 60) * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+const LOCKOUT_MS = (parseInt(process.env.OTP_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+
+// Keyed so a leaked database can't be brute-forced over the small code space
+const hashCode = (purpose, subject, code) =>
+  crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET || '')
+    .update(`${purpose}:${subject}:${code}`)
+    .digest('hex');
+
+const generateCode = () => crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+const normalizeSubject = (subject) => String(subject).trim().toLowerCase();
+
+// Create (or replace) the code for purpose/subject. Resolves to
+// { ok: true, code, expiresAt } or { ok: false, reason: 'cooldown' | 'locked', retryAfter }.
+async function issueOtp({ purpose, subject, userId, ttlMs = DEFAULT_TTL_MS }) {
+  subject = normalizeSubject(subject);
+  const now = new Date();
+  const existing = await OtpChallenge.findOne({ purpose, subject }).lean();
+
+  if (existing && existing.lockedUntil > now) {
+    return { ok: false, reason: 'locked', retryAfter: secondsUntil(existing.lockedUntil) };
+  }
+  if (existing && existing.lastSentAt && now - existing.lastSentAt < RESEND_COOLDOWN_MS) {
+    return { ok: false, reason: 'cooldown', retryAfter: secondsUntil(new Date(existing.lastSentAt.getTime() + RESEND_COOLDOWN_MS)) };
+  }
+
+  const code = generateCode();
+  const expiresAt = new Date(now.getTime() + ttlMs);
+
+  // The lastSentAt condition stops two concurrent resends from both getting through
+  const filter = { purpose, subject };
+  if (existing) filter.lastSentAt = existing.lastSentAt;
+  try {
+    const updated = await OtpChallenge.findOneAndUpdate(
+      filter,
+      {
+        $set: { userId, codeHash: hashCode(purpose, subject, code), expiresAt, attempts: 0, lastSentAt: now },
+        $unset: { lockedUntil: 1 }
+      },
+      { upsert: !existing, new: true }
+    );
+    if (!updated) return { ok: false, reason: 'cooldown', retryAfter: Math.ceil(RESEND_COOLDOWN_MS / 1000) };
+  } catch (err) {
+    if (err.code === 11000) return { ok: false, reason: 'cooldown', retryAfter: Math.ceil(RESEND_COOLDOWN_MS / 1000) };
+    throw err;
+  }
+
+  return { ok: true, code, expiresAt };
+}
+
+// Check a code. Resolves to { ok: true, userId } (the code is consumed) or
+// { ok: false, reason: 'invalid' | 'expired' | 'locked', retryAfter?, attemptsLeft? }.
+async function verifyOtp({ purpose, subject, code }) {
+  subject = normalizeSubject(subject);
+  const now = new Date();
+
+  // Count the attempt before comparing so parallel guesses can't exceed MAX_ATTEMPTS
+  const challenge = await OtpChallenge.findOneAndUpdate(
+    {
+      purpose,
+      subject,
+      codeHash: { $ne: null },
+      attempts: { $lt: MAX_ATTEMPTS },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!challenge) {
+    const locked = await OtpChallenge.findOne({ purpose, subject, lockedUntil: { $gt: now } }).lean();
+    return locked
+      ? { ok: false, reason: 'locked', retryAfter: secondsUntil(locked.lockedUntil) }
+      : { ok: false, reason: 'invalid' };
+  }
+
+  if (challenge.expiresAt <= now) {
+    return { ok: false, reason: 'expired' };
+  }
+
+  const expected = hashCode(purpose, subject, String(code || '').trim());
+  if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(challenge.codeHash))) {
+    await OtpChallenge.deleteOne({ _id: challenge._id });
+    return { ok: true, userId: challenge.userId };
+  }
+
+  if (challenge.attempts >= MAX_ATTEMPTS) {
+    const lockedUntil = new Date(now.getTime() + LOCKOUT_MS);
+    await OtpChallenge.updateOne({ _id: challenge._id }, { $set: { lockedUntil, codeHash: null } });
+    return { ok: false, reason: 'locked', retryAfter: secondsUntil(lockedUntil) };
+  }
+
+  return { ok: false, reason: 'invalid', attemptsLeft: MAX_ATTEMPTS - challenge.attempts };
+}
+
+const clearOtp = ({ purpose, subject }) =>
+  OtpChallenge.deleteOne({ purpose, subject: normalizeSubject(subject) });
+
+module.exports = { issueOtp, verifyOtp, clearOtp, generateCode, MAX_ATTEMPTS };
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Opaque cursor wrapping the _id of the last document on the previous page
+const encodeCursor = (doc) => Buffer.from(String(doc._id)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+  const id = Buffer.from(String(cursor), 'base64url').toString();
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new Error('Invalid cursor');
+  }
+  return new mongoose.Types.ObjectId(id);
+};
+
+const parseLimit = (limit) =>
+  Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+// Fetch one page of `Model` newest-first, continuing after `cursor`.
+async function paginate(Model, filter, { cursor, limit, select } = {}) {
+  const pageSize = parseLimit(limit);
+  const after = decodeCursor(cursor);
+  const query = after ? { $and: [filter, { _id: { $lt: after } }] } : filter;
+
+  const docs = await Model.find(query, select).sort({ _id: -1 }).limit(pageSize + 1);
+  const hasMore = docs.length > pageSize;
+  const items = hasMore ? docs.slice(0, pageSize) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null
+  };
+}
+
+// Build a { $gte, $lte } range from optional from/to query strings
+function dateRange(from, to) {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  if (Object.values(range).some(d => isNaN(d))) {
+    throw new Error('Invalid date range');
+  }
+  return Object.keys(range).length ? range : null;
+}
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { paginate, dateRange, escapeRegex, encodeCursor, decodeCursor, parseLimit };
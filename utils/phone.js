@@ -0,0 +1,18 @@
+// Normalise a phone number to E.164 (+<country><number>), or null if it can't be.
+// Local numbers without a country code get DEFAULT_COUNTRY_CODE (India by default).
+function toE164(phone, defaultCountryCode = process.env.DEFAULT_COUNTRY_CODE || '91') {
+  if (phone === undefined || phone === null) return null;
+  let value = String(phone).trim().replace(/[\s().-]/g, '');
+
+  if (value.startsWith('00')) value = `+${value.slice(2)}`;
+
+  if (!value.startsWith('+')) {
+    // Trunk prefix, e.g. 098xxxxxxxx
+    if (value.startsWith('0')) value = value.replace(/^0+/, '');
+    value = `+${defaultCountryCode}${value}`;
+  }
+
+  return /^\+[1-9]\d{7,14}$/.test(value) ? value : null;
+}
+
+module.exports = { toE164 };
@@ -0,0 +1,34 @@
+const pricing = require('../config/pricing');
+
+// Compute the payable amount for a booking from server-side rates.
+// Never trust an amount sent by the client.
+// A catalog package (models/Package) replaces the tier rate with its own base price,
+// sets the default duration and bundles its included add-ons for free.
+function computeBookingAmount({ packageType, travelers, duration, addons, catalogPackage } = {}) {
+  const type = (catalogPackage?.packageType || packageType || pricing.defaultPackage).toLowerCase();
+  const rate = catalogPackage ? catalogPackage.basePrice : pricing.packages[type];
+  if (rate === undefined) {
+    throw new Error(`Unknown package type: ${packageType}`);
+  }
+
+  const pax = parseInt(travelers, 10) || 1;
+  const days = parseInt(duration, 10) || catalogPackage?.durationDays || 1;
+  if (pax < 1 || days < 1) {
+    throw new Error('Travelers and duration must be positive');
+  }
+
+  const included = catalogPackage?.includedAddons || [];
+  const breakdown = { package: rate * pax * days };
+  Object.keys(pricing.addons).forEach(addon => {
+    if (addons && addons[addon] && !included.includes(addon)) {
+      breakdown[addon] = pricing.addons[addon] * pax;
+    }
+  });
+
+  const subtotal = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+  const tax = Math.round(subtotal * pricing.gstRate);
+
+  return { packageType: type, travelers: pax, duration: days, breakdown, subtotal, tax, amount: subtotal + tax };
+}
+
+module.exports = { computeBookingAmount };
@@ -0,0 +1,14 @@
+const { createStore } = require('./stores');
+
+// One shared store per process, chosen by RATE_LIMIT_STORE (memory | mongo)
+let store;
+
+const getStore = () => {
+  if (!store) store = createStore();
+  return store;
+};
+
+// For tests and scripts that need a fresh or custom store
+const setStore = (value) => { store = value; };
+
+module.exports = { getStore, setStore, createStore };
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// Hashcash-style challenge: the client must find a nonce such that
+// sha256("<challenge>:<nonce>") starts with `difficulty` zero bits.
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+const sign = (payload) =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET || '').update(payload).digest('base64url');
+
+function createChallenge(difficulty) {
+  const payload = `${Date.now() + CHALLENGE_TTL_MS}.${difficulty}.${crypto.randomBytes(12).toString('base64url')}`;
+  return { challenge: `${payload}.${sign(payload)}`, difficulty, algorithm: 'sha256', expiresInMs: CHALLENGE_TTL_MS };
+}
+
+const leadingZeroBits = (buffer) => {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+};
+
+// Returns the challenge expiry on success, or null
+function verifySolution(challenge, nonce, minDifficulty) {
+  if (typeof challenge !== 'string' || nonce === undefined || nonce === null || String(nonce).length > 64) return null;
+
+  const parts = challenge.split('.');
+  if (parts.length !== 4) return null;
+  const [expires, difficulty, , signature] = parts;
+  const payload = parts.slice(0, 3).join('.');
+
+  const expected = sign(payload);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null;
+  if (Number(expires) < Date.now() || Number(difficulty) < minDifficulty) return null;
+
+  const digest = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+  return leadingZeroBits(digest) >= Number(difficulty) ? new Date(Number(expires)) : null;
+}
+
+module.exports = { createChallenge, verifySolution, leadingZeroBits };
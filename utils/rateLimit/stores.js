@@ -0,0 +1,71 @@
+// Fixed-window counters. Every store implements:
+//   hit(key, windowMs) -> { count, resetAt }   count includes this hit
+const windowFor = (windowMs, now = Date.now()) => {
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { start, resetAt: new Date(start + windowMs) };
+};
+
+// Per-process counters - fine for development and single-instance deployments
+function memoryStore() {
+  const counters = new Map();
+
+  // Drop finished windows now and then so the map doesn't grow without bound
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of counters) {
+      if (entry.resetAt.getTime() <= now) counters.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+    hit: async (key, windowMs) => {
+      const { start, resetAt } = windowFor(windowMs);
+      const bucket = `${key}:${start}`;
+      const entry = counters.get(bucket) || { count: 0, resetAt };
+      entry.count += 1;
+      counters.set(bucket, entry);
+      return { count: entry.count, resetAt };
+    }
+  };
+}
+
+// Counters in MongoDB so limits hold across instances; old windows expire via a TTL index
+function mongoStore() {
+  const RateLimitCounter = require('../../models/RateLimitCounter');
+
+  const increment = (bucket, resetAt) => RateLimitCounter.findOneAndUpdate(
+    { key: bucket },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+    { upsert: true, new: true, lean: true }
+  );
+
+  return {
+    name: 'mongo',
+    hit: async (key, windowMs) => {
+      const { start, resetAt } = windowFor(windowMs);
+      const bucket = `${key}:${start}`;
+      let counter;
+      try {
+        counter = await increment(bucket, resetAt);
+      } catch (err) {
+        // Two instances upserting the same new window at once; the second one retries as an update
+        if (err.code !== 11000) throw err;
+        counter = await increment(bucket, resetAt);
+      }
+      return { count: counter.count, resetAt };
+    }
+  };
+}
+
+const stores = { memory: memoryStore, mongo: mongoStore };
+
+function createStore(name = process.env.RATE_LIMIT_STORE || 'memory') {
+  if (!stores[name]) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Use one of: ${Object.keys(stores).join(', ')}`);
+  }
+  return stores[name]();
+}
+
+module.exports = { createStore, memoryStore, mongoStore };
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+const RAZORPAY_API = 'https://api.razorpay.com/v1';
+
+const auth = () => ({
+  username: process.env.RAZORPAY_KEY_ID,
+  password: process.env.RAZORPAY_KEY_SECRET
+});
+
+// Constant-time comparison of two hex signatures
+const safeEqual = (expected, received) => {
+  if (typeof received !== 'string' || received.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+// Create an order for the given amount (in rupees)
+async function createOrder({ amount, receipt, notes }) {
+  const { data } = await axios.post(
+    `${RAZORPAY_API}/orders`,
+    {
+      amount: Math.round(amount * 100),
+      currency: 'INR',
+      receipt,
+      notes
+    },
+    { auth: auth() }
+  );
+  return data;
+}
+
+async function fetchOrder(orderId) {
+  const { data } = await axios.get(`${RAZORPAY_API}/orders/${orderId}`, { auth: auth() });
+  return data;
+}
+
+// Issue a refund (amount in rupees) against a captured payment
+async function createRefund({ paymentId, amount, reason }) {
+  const { data } = await axios.post(
+    `${RAZORPAY_API}/payments/${paymentId}/refund`,
+    {
+      amount: Math.round(amount * 100),
+      speed: 'normal',
+      notes: { reason: reason || 'Customer requested refund' }
+    },
+    { auth: auth() }
+  );
+  return data;
+}
+
+// Checkout signature is HMAC-SHA256 of "<order_id>|<payment_id>" keyed with the API secret
+function verifyPaymentSignature({ orderId, paymentId, signature }) {
+  if (!orderId || !paymentId || !signature) return false;
+  const expected = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET || '')
+    .update(`${orderId}|${paymentId}`)
+    .digest('hex');
+  return safeEqual(expected, signature);
+}
+
+// Webhook signature is HMAC-SHA256 of the raw request body keyed with the webhook secret
+function signWebhookPayload(rawBody, secret = process.env.RAZORPAY_WEBHOOK_SECRET) {
+  return crypto.createHmac('sha256', secret || '').update(rawBody).digest('hex');
+}
+
+function verifyWebhookSignature(rawBody, signature) {
+  if (!process.env.RAZORPAY_WEBHOOK_SECRET || !rawBody) return false;
+  return safeEqual(signWebhookPayload(rawBody), signature);
+}
+
+module.exports = {
+  createOrder,
+  fetchOrder,
+  createRefund,
+  verifyPaymentSignature,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  safeEqual
+};
@@ -0,0 +1,71 @@
+const policy = require('../config/refundPolicy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundRupees = value => Math.round(value * 100) / 100;
+
+// The booking can't be quoted. `message` is the detail for the logs; clients are only shown CLIENT_MESSAGE.
+// `code` is 'no_payment' or 'no_start_date'.
+class RefundPolicyError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'RefundPolicyError';
+    this.code = code;
+  }
+}
+RefundPolicyError.CLIENT_MESSAGE = 'Booking is not refundable under the current policy';
+
+function pickTier(tiers, daysBeforeStart) {
+  return tiers.find(tier => daysBeforeStart >= tier.minDays) || { percent: 0, label: 'No matching refund rule' };
+}
+
+// Work out how much of a booking's payment is refundable if cancelled at `asOf`.
+// Each priced component (package + add-ons) follows its own rule; tax is refunded pro rata.
+function quoteRefund(booking, asOf = new Date()) {
+  const paid = booking.payment?.amount;
+  if (!paid) {
+    throw new RefundPolicyError('Booking has no recorded payment', 'no_payment');
+  }
+  if (!booking.startDate) {
+    throw new RefundPolicyError('Booking has no trip start date', 'no_start_date');
+  }
+
+  const daysBeforeStart = Math.floor((new Date(booking.startDate) - new Date(asOf)) / DAY_MS);
+  const packageType = (booking.packageType || '').toLowerCase();
+  const packageTiers = policy.packages[packageType] || policy.default;
+
+  // Bookings made before breakdowns were recorded are treated as a single package charge
+  const breakdown = booking.payment.breakdown || { package: paid - (booking.payment.tax || 0) };
+
+  const components = Object.entries(breakdown).map(([component, amount]) => {
+    const tiers = component === 'package' ? packageTiers : (policy.addons[component] || packageTiers);
+    const tier = pickTier(tiers, daysBeforeStart);
+    return {
+      component,
+      paid: amount,
+      percent: tier.percent,
+      refund: roundRupees(amount * tier.percent / 100),
+      rule: tier.label
+    };
+  });
+
+  const subtotal = components.reduce((sum, c) => sum + c.paid, 0);
+  const componentRefund = components.reduce((sum, c) => sum + c.refund, 0);
+  const tax = booking.payment.tax || 0;
+  const taxRefund = subtotal ? roundRupees(tax * componentRefund / subtotal) : 0;
+
+  return {
+    bookingId: booking.bookingId,
+    packageType: packageType || null,
+    startDate: booking.startDate,
+    cancelledAt: new Date(asOf),
+    daysBeforeStart,
+    amountPaid: paid,
+    refundableAmount: Math.min(paid, roundRupees(componentRefund + taxRefund)),
+    taxRefund,
+    rule: components.find(c => c.component === 'package')?.rule || components[0]?.rule,
+    components
+  };
+}
+
+module.exports = { quoteRefund, RefundPolicyError };
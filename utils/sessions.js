@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque "<sessionId>.<secret>" strings.
+// authenticate() also checks the token's session, so revoking a session signs its access tokens out
+// straight away in this process and within SESSION_CHECK_CACHE_MS in any other.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const SESSION_CHECK_CACHE_MS = parseInt(process.env.SESSION_CHECK_CACHE_MS, 10) || 30 * 1000;
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// "Chrome on Windows" style label for the sessions list
+function describeUserAgent(userAgent = '') {
+  const browser = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+  const os = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return userAgent ? userAgent.slice(0, 60) : 'Unknown device';
+  return [browser && browser[0], os && os[0]].filter(Boolean).join(' on ');
+}
+
+const signAccessToken = (user, session) =>
+  jwt.sign({ userId: user._id, role: user.role, sid: session._id }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+const tokenPair = (user, session, secret) => ({
+  token: signAccessToken(user, session),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+// Start a session for a user who has just proven who they are
+async function createSession(user, req) {
+  const secret = newSecret();
+  const userAgent = req.get('user-agent') || '';
+  const session = await Session.create({
+    userId: String(user._id),
+    tokenHash: hashSecret(secret),
+    device: (req.body && req.body.deviceName) || describeUserAgent(userAgent),
+    userAgent,
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+  return { session, ...tokenPair(user, session, secret) };
+}
+
+// Exchange a refresh token for a new one. Resolves to the rotated session, or null if the
+// token is unknown, expired or revoked. Replaying an already-rotated token revokes the session.
+async function rotateSession(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const presented = hashSecret(parsed.secret);
+  const secret = newSecret();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, tokenHash: presented, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashSecret(secret),
+        previousTokenHash: presented,
+        lastUsedAt: now,
+        ipAddress: req.ip,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    await Session.updateOne(
+      { _id: parsed.sessionId, previousTokenHash: presented, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'refresh_token_reuse' } }
+    );
+    return null;
+  }
+
+  return { session, secret };
+}
+
+// sessionId -> { userId, checkedAt } for sessions recently found active
+const activeSessionCache = new Map();
+
+// Whether an access token's session still exists and has not been revoked
+async function isSessionActive(sessionId) {
+  const cached = activeSessionCache.get(sessionId);
+  if (cached && Date.now() - cached.checkedAt < SESSION_CHECK_CACHE_MS) return true;
+
+  if (!/^[a-f\d]{24}$/i.test(sessionId)) return false;
+  const session = await Session.findOne({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userId')
+    .lean();
+  if (!session) {
+    activeSessionCache.delete(sessionId);
+    return false;
+  }
+  activeSessionCache.set(sessionId, { userId: session.userId, checkedAt: Date.now() });
+  return true;
+}
+
+const forgetSessions = (match) => {
+  for (const [sessionId, entry] of activeSessionCache) {
+    if (match(sessionId, entry)) activeSessionCache.delete(sessionId);
+  }
+};
+
+async function revokeSession(sessionId, userId, reason = 'logout') {
+  activeSessionCache.delete(String(sessionId));
+  const { modifiedCount } = await Session.updateOne(
+    { _id: sessionId, userId: String(userId), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return modifiedCount > 0;
+}
+
+// Pass exceptSessionId to keep the caller's own session signed in
+async function revokeAllSessions(userId, reason, exceptSessionId) {
+  const filter = { userId: String(userId), revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  forgetSessions((sessionId, entry) => entry.userId === String(userId) && sessionId !== String(exceptSessionId));
+  const { modifiedCount } = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return modifiedCount;
+}
+
+const listActiveSessions = (userId) =>
+  Session.find({ userId: String(userId), revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('device ipAddress lastUsedAt createdAt expiresAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  listActiveSessions,
+  parseRefreshToken,
+  tokenPair,
+  describeUserAgent
+};
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const twilio = require('twilio');
+const { toE164 } = require('./phone');
+
+// Stand-in for the Twilio REST client: records messages and calls instead of sending them.
+// Enabled with TWILIO_FAKE=true (never in production). Message bodies can hold OTPs, so the console
+// only shows who was contacted; TWILIO_FAKE_LOG=<file> appends each full record as a JSON line.
+function createFakeTwilioClient(logFile = process.env.TWILIO_FAKE_LOG) {
+  const sent = { messages: [], calls: [] };
+  let counter = 0;
+
+  const record = (kind, prefix, params) => {
+    const entry = { sid: `${prefix}${String(++counter).padStart(32, '0')}`, status: 'queued', ...params, dateCreated: new Date() };
+    sent[kind].push(entry);
+    console.log(`📵 Fake Twilio ${kind.slice(0, -1)} ${entry.sid} to ${params.to}`);
+    if (logFile) fs.appendFileSync(logFile, `${JSON.stringify({ kind, ...entry })}\n`);
+    return Promise.resolve(entry);
+  };
+
+  return {
+    fake: true,
+    sent,
+    messages: { create: (params) => record('messages', 'SM', params) },
+    calls: { create: (params) => record('calls', 'CA', params) }
+  };
+}
+
+function createTwilioClient() {
+  if (process.env.TWILIO_FAKE === 'true') {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('TWILIO_FAKE=true is not allowed when NODE_ENV=production');
+    }
+    return createFakeTwilioClient();
+  }
+  return twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+}
+
+const client = createTwilioClient();
+
+// Send an SMS from our Twilio number; resolves to the message or null, never throws
+async function sendSms(to, body) {
+  const phone = toE164(to);
+  if (!phone) {
+    console.error(`SMS skipped, invalid phone number: ${to}`);
+    return null;
+  }
+  try {
+    return await client.messages.create({ body, from: process.env.TWILIO_PHONE_NUMBER, to: phone });
+  } catch (err) {
+    console.error(`SMS to ${phone} failed:`, err.message);
+    return null;
+  }
+}
+
+module.exports = { client, sendSms, createFakeTwilioClient };